@@ -0,0 +1,140 @@
+import ResClientHost from './ResClientHost.js';
+
+// Address of the leader tab host, used by the transports
+const hostAddress = 'host';
+
+/**
+ * BroadcastHost shares a single ResClient between the tabs of a browser over a
+ * BroadcastChannel, as a fallback where SharedWorker is not available.
+ *
+ * Each tab creates a BroadcastHost, and a leader tab is elected using the Web Locks API.
+ * The leader creates the ResClient and serves it with a ResClientHost, while each tab,
+ * the leader included, connects to it using a BroadcastTransport. When the leader tab
+ * is closed, another tab is elected, and the tabs reconnect to the new leader.
+ */
+class BroadcastHost {
+
+	/**
+	 * Creates a BroadcastHost instance, requesting to become leader.
+	 * @param {string} name Channel name, shared with the BroadcastTransport instances.
+	 * @param {function} clientFactory Callback returning the ResClient to share. Called once elected leader.
+	 * @param {object} [opt] Optional parameters.
+	 * @param {LockManager} [opt.locks] Lock manager used to elect the leader. Defaults to navigator.locks.
+	 * @param {function} [opt.BroadcastChannel] BroadcastChannel constructor. Defaults to the global BroadcastChannel.
+	 * @param {number} [opt.pingInterval] Interval in milliseconds between session pings, passed to the ResClientHost.
+	 */
+	constructor(name, clientFactory, opt) {
+		let locks = (opt && opt.locks) || (typeof navigator !== 'undefined' && navigator.locks);
+		this.BroadcastChannel = (opt && opt.BroadcastChannel) || (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+		if (!locks || !this.BroadcastChannel) {
+			throw new Error("Web Locks API or BroadcastChannel not available");
+		}
+
+		this.name = name;
+		this.clientFactory = clientFactory;
+		this.hostOpt = opt && typeof opt.pingInterval === 'number' ? { pingInterval: opt.pingInterval } : null;
+		this.id = Math.random().toString(36).substr(2);
+		this.client = null;
+		this.host = null;
+		this.channel = null;
+		this.ports = {}; // Ports of the connected tabs, by tab ID
+		this.release = null;
+		this.disposed = false;
+
+		// The lock is held until disposed, or the tab is closed
+		locks.request(name, () => this._lead());
+	}
+
+	/**
+	 * Checks if the tab is elected leader, serving the other tabs.
+	 * @returns {boolean} True if leader.
+	 */
+	isLeader() {
+		return !!this.host;
+	}
+
+	/**
+	 * Stops serving the tabs, disconnecting the shared ResClient,
+	 * and lets another tab be elected leader.
+	 */
+	dispose() {
+		this.disposed = true;
+		if (!this.host) {
+			return;
+		}
+
+		this.host.dispose();
+		this.client.disconnect();
+		this.channel.close();
+		this.host = null;
+		this.client = null;
+		this.channel = null;
+		this.ports = {};
+		this.release();
+	}
+
+	/**
+	 * Starts serving the tabs once elected leader.
+	 * @returns {?Promise} Promise resolved to release the lock on dispose.
+	 * @private
+	 */
+	_lead() {
+		if (this.disposed) {
+			return null;
+		}
+
+		this.client = this.clientFactory();
+		this.host = new ResClientHost(this.client, this.hostOpt);
+		this.channel = new this.BroadcastChannel(this.name);
+		this.channel.onmessage = e => this._handleMessage(e.data);
+		// Tabs connected to a previous leader, or waiting for one, reconnect
+		this.channel.postMessage({ from: this.id, to: null, msg: { type: 'leader' }});
+		return new Promise(resolve => this.release = resolve);
+	}
+
+	_handleMessage(data) {
+		if (!data || data.to !== hostAddress || !data.msg) {
+			return;
+		}
+
+		let port = this.ports[data.from];
+		if (!port) {
+			// Only a new session may be opened by an unknown tab
+			if (data.msg.type !== 'open') {
+				return;
+			}
+			port = this._createPort(data.from);
+		}
+		if (data.msg.type === 'close') {
+			delete this.ports[data.from];
+		}
+		port.onmessage({ data: data.msg });
+	}
+
+	/**
+	 * Creates a port for a tab, and adds it to the host.
+	 * @param {string} tabId Tab ID of the transport.
+	 * @returns {object} Port object.
+	 * @private
+	 */
+	_createPort(tabId) {
+		let port = {
+			onmessage: null,
+			postMessage: msg => {
+				// Responses may arrive after being disposed
+				if (!this.channel) {
+					return;
+				}
+				if (msg.type === 'close') {
+					delete this.ports[tabId];
+				}
+				this.channel.postMessage({ from: this.id, to: tabId, msg });
+			}
+		};
+		this.ports[tabId] = port;
+		this.host.addPort(port);
+		return port;
+	}
+}
+
+export default BroadcastHost;
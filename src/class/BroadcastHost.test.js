@@ -0,0 +1,177 @@
+import ResClient from './ResClient.js';
+import BroadcastHost from './BroadcastHost.js';
+import BroadcastTransport from './BroadcastTransport.js';
+import LoopbackTransport from '../test/LoopbackTransport.js';
+
+let channels = [];
+
+class FakeBroadcastChannel {
+	constructor(name) {
+		this.name = name;
+		this.onmessage = null;
+		channels.push(this);
+	}
+
+	postMessage(data) {
+		let targets = channels.filter(c => c !== this && c.name === this.name);
+		data = JSON.parse(JSON.stringify(data));
+		setTimeout(() => {
+			for (let c of targets) {
+				if (c.onmessage && channels.indexOf(c) >= 0) {
+					c.onmessage({ data });
+				}
+			}
+		}, 0);
+	}
+
+	close() {
+		channels = channels.filter(c => c !== this);
+	}
+}
+
+class FakeLocks {
+	constructor() {
+		this.held = false;
+		this.requests = [];
+	}
+
+	request(name, cb) {
+		return new Promise(resolve => {
+			this.requests.push({ cb, resolve });
+			this._next();
+		});
+	}
+
+	_next() {
+		if (this.held || !this.requests.length) {
+			return;
+		}
+		let { cb, resolve } = this.requests.shift();
+		this.held = true;
+		setTimeout(() => Promise.resolve(cb()).then(v => {
+			this.held = false;
+			resolve(v);
+			this._next();
+		}), 0);
+	}
+}
+
+describe("BroadcastHost", () => {
+
+	let locks;
+	let servers;
+	let hosts;
+	let proxies;
+
+	function waitAWhile() {
+		return new Promise(resolve => setTimeout(resolve, 50));
+	}
+
+	function createHost() {
+		let host = new BroadcastHost('resclient', () => new ResClient('ws://localhost/ws', {
+			transport: (url, handlers) => {
+				let server = new LoopbackTransport(url, handlers, { autoOpen: true });
+				servers.push(server);
+				return server;
+			}
+		}), { locks, BroadcastChannel: FakeBroadcastChannel });
+		hosts.push(host);
+		return host;
+	}
+
+	function createProxy() {
+		let proxy = new ResClient('ws://localhost/ws', {
+			transport: (url, handlers) => new BroadcastTransport('resclient', handlers, { BroadcastChannel: FakeBroadcastChannel }),
+			reconnect: { delay: 0 }
+		});
+		proxies.push(proxy);
+		return proxy;
+	}
+
+	function getProxyModel(proxy) {
+		let promise = proxy.get('service.model');
+		return waitAWhile().then(() => {
+			let server = servers[servers.length - 1];
+			let req = server.requests.shift();
+			expect(req.method).toBe('subscribe.service.model');
+			server.respond(req, { models: { 'service.model': { foo: "bar" }}});
+			return promise;
+		});
+	}
+
+	beforeEach(() => {
+		channels = [];
+		locks = new FakeLocks();
+		servers = [];
+		hosts = [];
+		proxies = [];
+	});
+
+	afterEach(() => {
+		for (let proxy of proxies) {
+			proxy.disconnect();
+		}
+		for (let host of hosts) {
+			host.dispose();
+		}
+	});
+
+	it("elects a single leader", () => {
+		let host1 = createHost();
+		let host2 = createHost();
+		return waitAWhile().then(() => {
+			expect(host1.isLeader()).toBe(true);
+			expect(host2.isLeader()).toBe(false);
+			expect(host2.client).toBe(null);
+		});
+	});
+
+	it("throws if the Web Locks API is not available", () => {
+		expect(() => new BroadcastHost('resclient', () => null, { BroadcastChannel: FakeBroadcastChannel })).toThrow();
+	});
+
+	it("serves tabs connected with a BroadcastTransport", () => {
+		createHost();
+		let proxy = createProxy();
+		return waitAWhile().then(() => getProxyModel(proxy)).then(model => {
+			expect(model.foo).toBe("bar");
+			model.on('change', () => {});
+			servers[0].event('service.model.change', { values: { foo: "baz" }});
+			return waitAWhile().then(() => {
+				expect(model.foo).toBe("baz");
+			});
+		});
+	});
+
+	it("shares a single subscription between tabs", () => {
+		createHost();
+		let proxy1 = createProxy();
+		let proxy2 = createProxy();
+		return waitAWhile().then(() => getProxyModel(proxy1)).then(() => proxy2.get('service.model')).then(model => {
+			expect(model.foo).toBe("bar");
+			expect(servers.length).toBe(1);
+			expect(servers[0].requests.length).toBe(0);
+		});
+	});
+
+	it("reconnects the tabs to a new leader when the leader is disposed", () => {
+		let host1 = createHost();
+		let host2 = createHost();
+		let proxy = createProxy();
+		return waitAWhile().then(() => getProxyModel(proxy)).then(model => {
+			model.on('change', () => {});
+			host1.dispose();
+			return waitAWhile().then(() => waitAWhile()).then(() => {
+				expect(host2.isLeader()).toBe(true);
+				expect(servers.length).toBe(2);
+				let req = servers[1].requests.shift();
+				expect(req.method).toBe('subscribe.service.model');
+				servers[1].respond(req, { models: { 'service.model': { foo: "baz" }}});
+				return waitAWhile();
+			}).then(() => {
+				expect(proxy.getState()).toBe('connected');
+				expect(model.foo).toBe("baz");
+			});
+		});
+	});
+});
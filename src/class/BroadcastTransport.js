@@ -0,0 +1,87 @@
+import PortTransport from './PortTransport.js';
+
+// Address of the leader tab host
+const hostAddress = 'host';
+
+/**
+ * BroadcastTransport is a transport connecting over a BroadcastChannel
+ * to the ResClientHost of the leader tab, as elected by BroadcastHost.
+ * The connection is closed when a new leader is elected, to let the
+ * client reconnect to it.
+ * @implements {Transport}
+ */
+class BroadcastTransport {
+
+	/**
+	 * Creates a BroadcastTransport instance, opening a session with the leader tab.
+	 * @param {string} name Channel name, shared with the BroadcastHost instances.
+	 * @param {transportHandlers} handlers Handlers called on transport events.
+	 * @param {object} [opt] Optional parameters.
+	 * @param {function} [opt.BroadcastChannel] BroadcastChannel constructor. Defaults to the global BroadcastChannel.
+	 */
+	constructor(name, handlers, opt) {
+		let BC = (opt && opt.BroadcastChannel) || BroadcastChannel;
+
+		this.id = Math.random().toString(36).substr(2);
+		this.hostId = null;
+		this.channel = new BC(name);
+		this.channel.onmessage = e => this._handleMessage(e.data);
+		this.port = {
+			onmessage: null,
+			postMessage: msg => this.channel.postMessage({ from: this.id, to: hostAddress, msg })
+		};
+		this.transport = new PortTransport(this.port, Object.assign({}, handlers, {
+			onClose: e => {
+				this.channel.close();
+				handlers.onClose(e);
+			}
+		}));
+	}
+
+	/**
+	 * Sends a message to the leader tab.
+	 * @param {string} data Json encoded message.
+	 */
+	send(data) {
+		this.transport.send(data);
+	}
+
+	/**
+	 * Closes the session with the leader tab.
+	 */
+	close() {
+		this.transport.close();
+	}
+
+	_handleMessage(data) {
+		if (!data || !data.msg) {
+			return;
+		}
+
+		// A leader other than the one connected to is elected
+		if (data.to === null) {
+			if (data.msg.type === 'leader' && data.from !== this.hostId) {
+				this._deliver({ type: 'close' });
+			}
+			return;
+		}
+
+		if (data.to !== this.id) {
+			return;
+		}
+		if (!this.hostId) {
+			this.hostId = data.from;
+		} else if (data.from !== this.hostId) {
+			return;
+		}
+		this._deliver(data.msg);
+	}
+
+	_deliver(msg) {
+		if (this.port.onmessage) {
+			this.port.onmessage({ data: msg });
+		}
+	}
+}
+
+export default BroadcastTransport;
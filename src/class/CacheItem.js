@@ -13,21 +13,28 @@ class CacheItem {
 
 		this.type = null;
 		this.item = null;
+		this.unsubscribeDelay = unsubscribeDelay;
+		this.lastUsed = 0;
 		this.direct = 0;
 		this.indirect = 0;
 		this.subscribed = false;
+		this.deleted = false;
 		this.promise = null;
 	}
 
 	setSubscribed(isSubscribed) {
 		this.subscribed = isSubscribed;
-		if (!isSubscribed && this.unsubTimeout) {
-			clearTimeout(this.unsubTimeout);
-			this.unsubTimeout = null;
+		if (!isSubscribed) {
+			this.clearUnsubscribe();
 		}
 		return this;
 	}
 
+	setDeleted() {
+		this.deleted = true;
+		return this.setSubscribed(false);
+	}
+
 	setPromise(promise) {
 		if (!this.item) {
 			this.promise = promise;
@@ -39,7 +46,7 @@ class CacheItem {
 		this.item = item;
 		this.type = type;
 		this.promise = null;
-		this._checkUnsubscribe();
+		this.checkUnsubscribe();
 		return this;
 	}
 
@@ -49,10 +56,7 @@ class CacheItem {
 	}
 
 	addDirect() {
-		if (this.unsubTimeout) {
-			clearTimeout(this.unsubTimeout);
-			this.unsubTimeout = null;
-		}
+		this.clearUnsubscribe();
 		this.direct++;
 	}
 
@@ -62,19 +66,26 @@ class CacheItem {
 			throw "Direct count reached below 0";
 		}
 		if (this.subscribed) {
-			this._checkUnsubscribe();
+			this.checkUnsubscribe();
 		} else {
 			// The subscription might be stale and should then be removed directly
 			this._unsubscribe(this);
 		}
 	}
 
-	_checkUnsubscribe() {
+	checkUnsubscribe() {
 		if (!this.subscribed || this.direct || this.unsubTimeout) {
 			return;
 		}
 
-		this.unsubTimeout = setTimeout(() => this._unsubscribe(this), unsubscribeDelay);
+		this.unsubTimeout = setTimeout(() => this._unsubscribe(this), this.unsubscribeDelay);
+	}
+
+	clearUnsubscribe() {
+		if (this.unsubTimeout) {
+			clearTimeout(this.unsubTimeout);
+			this.unsubTimeout = null;
+		}
 	}
 
 	addIndirect(n = 1) {
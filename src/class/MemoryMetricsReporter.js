@@ -0,0 +1,97 @@
+/**
+ * Creates a metric key from a name and tags, such as "request.latency{action=call,method=set}".
+ * @param {string} name Metric name.
+ * @param {?Object.<string, string>} tags Metric tags.
+ * @returns {string} Metric key.
+ * @private
+ */
+const metricKey = function(name, tags) {
+	let keys = tags ? Object.keys(tags).sort() : [];
+	return keys.length
+		? name + '{' + keys.map(k => k + '=' + tags[k]).join(',') + '}'
+		: name;
+};
+
+/**
+ * MemoryMetricsReporter is a metrics reporter keeping aggregated metrics in memory.
+ * Metrics are keyed by name and tags, such as "request.latency{action=call,method=set}".
+ * @implements {MetricsReporter}
+ */
+class MemoryMetricsReporter {
+
+	/**
+	 * Creates a MemoryMetricsReporter instance.
+	 */
+	constructor() {
+		this.reset();
+	}
+
+	/**
+	 * Increments a counter.
+	 * @param {string} name Metric name.
+	 * @param {number} value Value to add to the counter.
+	 * @param {?Object.<string, string>} tags Metric tags.
+	 */
+	increment(name, value, tags) {
+		let k = metricKey(name, tags);
+		this.counters[k] = (this.counters[k] || 0) + value;
+	}
+
+	/**
+	 * Sets a gauge value.
+	 * @param {string} name Metric name.
+	 * @param {number} value Current value.
+	 * @param {?Object.<string, string>} tags Metric tags.
+	 */
+	gauge(name, value, tags) {
+		this.gauges[metricKey(name, tags)] = value;
+	}
+
+	/**
+	 * Records a timing.
+	 * @param {string} name Metric name.
+	 * @param {number} duration Duration in milliseconds.
+	 * @param {?Object.<string, string>} tags Metric tags.
+	 */
+	timing(name, duration, tags) {
+		let k = metricKey(name, tags);
+		let t = this.timings[k];
+		if (t) {
+			t.count++;
+			t.sum += duration;
+			t.min = Math.min(t.min, duration);
+			t.max = Math.max(t.max, duration);
+		} else {
+			this.timings[k] = { count: 1, sum: duration, min: duration, max: duration };
+		}
+	}
+
+	/**
+	 * Gets the metrics collected since creation or last reset.
+	 * Timings contain the count, sum, min, max, and average duration.
+	 * @returns {{counters: Object.<string, number>, gauges: Object.<string, number>, timings: Object.<string, object>}} Collected metrics.
+	 */
+	getMetrics() {
+		let timings = {};
+		for (let k in this.timings) {
+			let t = this.timings[k];
+			timings[k] = Object.assign({ avg: t.sum / t.count }, t);
+		}
+		return {
+			counters: Object.assign({}, this.counters),
+			gauges: Object.assign({}, this.gauges),
+			timings
+		};
+	}
+
+	/**
+	 * Clears all collected metrics.
+	 */
+	reset() {
+		this.counters = {};
+		this.gauges = {};
+		this.timings = {};
+	}
+}
+
+export default MemoryMetricsReporter;
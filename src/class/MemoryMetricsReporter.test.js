@@ -0,0 +1,48 @@
+import MemoryMetricsReporter from './MemoryMetricsReporter.js';
+
+describe("MemoryMetricsReporter", () => {
+
+	let reporter;
+
+	beforeEach(() => {
+		reporter = new MemoryMetricsReporter();
+	});
+
+	it("sums counters", () => {
+		reporter.increment('messages.in', 1, null);
+		reporter.increment('messages.in', 2, null);
+		expect(reporter.getMetrics().counters).toEqual({ 'messages.in': 3 });
+	});
+
+	it("keeps the last gauge value", () => {
+		reporter.gauge('cache.size', 4, null);
+		reporter.gauge('cache.size', 2, null);
+		expect(reporter.getMetrics().gauges).toEqual({ 'cache.size': 2 });
+	});
+
+	it("aggregates timings", () => {
+		reporter.timing('request.latency', 10, null);
+		reporter.timing('request.latency', 30, null);
+		reporter.timing('request.latency', 20, null);
+		expect(reporter.getMetrics().timings).toEqual({
+			'request.latency': { count: 3, sum: 60, min: 10, max: 30, avg: 20 }
+		});
+	});
+
+	it("keys metrics by name and sorted tags", () => {
+		reporter.timing('request.latency', 10, { method: 'set', action: 'call' });
+		reporter.timing('request.latency', 20, { action: 'subscribe' });
+		expect(Object.keys(reporter.getMetrics().timings).sort()).toEqual([
+			'request.latency{action=call,method=set}',
+			'request.latency{action=subscribe}'
+		]);
+	});
+
+	it("clears metrics on reset", () => {
+		reporter.increment('messages.in', 1, null);
+		reporter.gauge('cache.size', 1, null);
+		reporter.timing('request.latency', 10, null);
+		reporter.reset();
+		expect(reporter.getMetrics()).toEqual({ counters: {}, gauges: {}, timings: {}});
+	});
+});
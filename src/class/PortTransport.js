@@ -0,0 +1,80 @@
+/**
+ * PortTransport is a transport connecting to a ResClientHost over a message port,
+ * such as the port of a SharedWorker.
+ * The session is closed when the page is hidden on unload, and reopened by
+ * the client's reconnect if the page is restored.
+ * @implements {Transport}
+ */
+class PortTransport {
+
+	/**
+	 * Creates a PortTransport instance, opening a session with the host.
+	 * @param {MessagePort} port Message port connected to a ResClientHost.
+	 * @param {transportHandlers} handlers Handlers called on transport events.
+	 */
+	constructor(port, handlers) {
+		this.port = port;
+		this.handlers = handlers;
+		this.closed = false;
+
+		this._handlePagehide = () => this.close();
+		if (typeof self !== 'undefined' && typeof self.addEventListener === 'function') {
+			self.addEventListener('pagehide', this._handlePagehide);
+		}
+
+		port.onmessage = e => this._handleMessage(e.data);
+		port.postMessage({ type: 'open' });
+	}
+
+	/**
+	 * Sends a message to the host.
+	 * @param {string} data Json encoded message.
+	 */
+	send(data) {
+		this.port.postMessage({ type: 'message', data });
+	}
+
+	/**
+	 * Closes the session with the host.
+	 */
+	close() {
+		if (this.closed) {
+			return;
+		}
+
+		this.port.postMessage({ type: 'close' });
+		this._close({ type: 'close' });
+	}
+
+	_handleMessage(msg) {
+		if (this.closed || !msg) {
+			return;
+		}
+
+		switch (msg.type) {
+		case 'open':
+			this.handlers.onOpen(msg);
+			break;
+		case 'message':
+			this.handlers.onMessage(msg.data);
+			break;
+		case 'ping':
+			this.port.postMessage({ type: 'pong' });
+			break;
+		case 'close':
+			this._close(msg);
+			break;
+		}
+	}
+
+	_close(e) {
+		this.closed = true;
+		this.port.onmessage = null;
+		if (typeof self !== 'undefined' && typeof self.removeEventListener === 'function') {
+			self.removeEventListener('pagehide', this._handlePagehide);
+		}
+		this.handlers.onClose(e);
+	}
+}
+
+export default PortTransport;
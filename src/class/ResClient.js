@@ -6,6 +6,8 @@ import TypeList from './TypeList';
 import ResCollection from './ResCollection';
 import ResModel from './ResModel';
 import ResError from './ResError';
+import ResRef from './ResRef';
+import WebSocketTransport from './WebSocketTransport';
 
 const defaultModelFactory = function(api, rid) {
 	return new ResModel(api, rid);
@@ -24,16 +26,185 @@ const typeError = 'error';
 const resourceTypes = [ typeModel, typeCollection, typeError ];
 // Actions
 const actionDelete = { action: 'delete' };
+// Actions of requests that may safely be resent on reconnect
+const resendActions = { subscribe: true, get: true };
+// Request errors
+const errorTimeout = { code: 'system.timeout', message: "Request timeout" };
+const errorAborted = { code: 'system.aborted', message: "Request aborted" };
+const errorDisconnect = { code: 'system.disconnect', message: "Disconnected" };
+const errorDeleted = { code: 'system.deleted', message: "Resource is deleted" };
+const errorUnsupportedProtocol = { code: 'system.unsupportedProtocol', message: "Unsupported protocol version" };
+// Protocol versions
+const supportedProtocol = '1.2.1';
+const legacyProtocol = '1.1.1';
 // Default settings
 const defaultNamespace = 'resclient';
-const reconnectDelay = 3000;
-const subscribeStaleDelay = 2000;
+const defaultReconnect = {
+	delay: 3000,
+	multiplier: 1,
+	maxDelay: 30000,
+	jitter: 0,
+	maxAttempts: 0
+};
+const defaultUnsubscribeDelay = 5000;
+const defaultSubscribeStaleDelay = 2000;
+const cacheSaveDelay = 1000;
+// Connection states
+const connDisconnected = 'disconnected';
+const connConnecting = 'connecting';
+const connHandshaking = 'handshaking';
+const connConnected = 'connected';
+const connReconnecting = 'reconnecting';
+const connClosed = 'closed';
 // Traverse states
 const stateNone = 0;
 const stateDelete = 1;
 const stateKeep = 2;
 const stateStale = 3;
 
+/**
+ * Converts a semantic version string into a comparable integer.
+ * @param {string} version Version string, such as "1.2.0".
+ * @returns {number} Version as an integer, or 0 if the version is invalid.
+ * @private
+ */
+const versionToInt = function(version) {
+	if (typeof version != 'string') {
+		return 0;
+	}
+	let p = version.split('.');
+	let v = 0;
+	for (let i = 0; i < 3; i++) {
+		v = v * 1000 + ((p.length > i && parseInt(p[i], 10)) || 0);
+	}
+	return v;
+};
+
+/**
+ * Checks if a value is a data value, wrapping any JSON value.
+ * @param {*} v Value
+ * @returns {boolean} True if the value is a data value.
+ * @private
+ */
+const isDataValue = function(v) {
+	return v !== null && typeof v === 'object' && !v.rid && v.hasOwnProperty('data');
+};
+
+/**
+ * Freezes an object or array, and all objects and arrays it contains.
+ * @param {*} v JSON value
+ * @returns {*} The frozen value.
+ * @private
+ */
+const deepFreeze = function(v) {
+	if (v !== null && typeof v === 'object' && !Object.isFrozen(v)) {
+		for (let k in v) {
+			deepFreeze(v[k]);
+		}
+		Object.freeze(v);
+	}
+	return v;
+};
+
+/**
+ * Compares two JSON values deeply.
+ * @param {*} a Value to compare with b.
+ * @param {*} b Value to compare with a.
+ * @returns {boolean} True if the values are equal.
+ * @private
+ */
+const jsonEqual = function(a, b) {
+	if (a === b) {
+		return true;
+	}
+	if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+		return false;
+	}
+	let ak = Object.keys(a);
+	if (ak.length !== Object.keys(b).length) {
+		return false;
+	}
+	for (let k of ak) {
+		if (!b.hasOwnProperty(k) || !jsonEqual(a[k], b[k])) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * Gets the current time in milliseconds, using a high resolution timer if available.
+ * @returns {number} Time in milliseconds.
+ * @private
+ */
+const now = function() {
+	return typeof performance != 'undefined' && performance.now ? performance.now() : Date.now();
+};
+
+/**
+ * Gets the length of a string when UTF-8 encoded.
+ * @param {string} s String
+ * @returns {number} Length in bytes.
+ * @private
+ */
+const utf8Length = function(s) {
+	let l = s.length;
+	for (let i = s.length - 1; i >= 0; i--) {
+		let c = s.charCodeAt(i);
+		if (c > 0x7f && c <= 0x7ff) {
+			l++;
+		} else if (c > 0x7ff && c <= 0xffff) {
+			l += 2;
+		}
+		// Skip the high surrogate of a surrogate pair
+		if (c >= 0xdc00 && c <= 0xdfff) {
+			i--;
+		}
+	}
+	return l;
+};
+
+/**
+ * Creates a minimal abort signal, used to cancel requests shared by multiple callers.
+ * @returns {object} Signal object with an abort method.
+ * @private
+ */
+const createSignal = function() {
+	let listeners = [];
+	return {
+		aborted: false,
+		addEventListener(type, cb) {
+			listeners.push(cb);
+		},
+		removeEventListener(type, cb) {
+			listeners = listeners.filter(l => l !== cb);
+		},
+		abort() {
+			if (!this.aborted) {
+				this.aborted = true;
+				listeners.forEach(cb => cb());
+			}
+		}
+	};
+};
+
+/**
+ * Creates a reconnect policy callback from policy settings.
+ * @param {object} opt Reconnect policy settings.
+ * @returns {ResClient~reconnectCallback} Reconnect policy callback.
+ * @private
+ */
+const createReconnectPolicy = function(opt) {
+	opt = Object.assign({}, defaultReconnect, opt);
+	return function(attempt, e) {
+		if (opt.maxAttempts && attempt > opt.maxAttempts) {
+			return null;
+		}
+		let delay = Math.min(opt.delay * Math.pow(opt.multiplier, attempt - 1), opt.maxDelay);
+		return Math.round(delay - delay * opt.jitter * Math.random());
+	};
+};
+
 /**
  * ResClient is a client implementing the RES-Client protocol.
  */
@@ -43,42 +214,117 @@ class ResClient {
 	 * Creates a ResClient instance
 	 * @param {string} hostUrl Websocket host path. May be relative to current path.
 	 * @param {object} [opt] Optional parameters.
+	 * @param {function} [opt.WebSocket] WebSocket constructor, such as the one exported by the ws package. Defaults to the global WebSocket.
+	 * @param {ResClient~wsFactory} [opt.wsFactory] WebSocket factory callback. Takes precedence over opt.WebSocket.
+	 * @param {transportFactory} [opt.transport] Transport factory callback, replacing the default WebSocket transport.
 	 * @param {function} [opt.onConnect] On connect callback called prior resolving the connect promise and subscribing to stale resources. May return a promise.
 	 * @param {string} [opt.namespace] Event bus namespace. Defaults to 'resclient'.
 	 * @param {module:modapp~EventBus} [opt.eventBus] Event bus.
+	 * @param {object|ResClient~reconnectCallback} [opt.reconnect] Reconnect policy settings, or a callback returning the delay before each reconnect attempt.
+	 * @param {number} [opt.reconnect.delay] Delay in milliseconds before the first reconnect attempt. Defaults to 3000.
+	 * @param {number} [opt.reconnect.multiplier] Factor by which the delay increases for each failed attempt. Defaults to 1.
+	 * @param {number} [opt.reconnect.maxDelay] Maximum delay in milliseconds between attempts. Defaults to 30000.
+	 * @param {number} [opt.reconnect.jitter] Fraction, between 0 and 1, of the delay that is randomly subtracted to spread out the attempts. Defaults to 0.
+	 * @param {number} [opt.reconnect.maxAttempts] Maximum number of attempts before giving up. 0 means no limit. Defaults to 0.
+	 * @param {number} [opt.requestTimeout] Time in milliseconds to wait for a response to a sent request before rejecting it. 0 means no timeout. Defaults to 0.
+	 * @param {number} [opt.unsubscribeDelay] Time in milliseconds to keep a subscription after the resource is no longer listened to. Defaults to 5000.
+	 * @param {MetricsReporter} [opt.metrics] Metrics reporter receiving client metrics, such as request latency and message sizes.
+	 * @param {ResClient~loggerCallback} [opt.logger] Callback called with a log entry for each sent request and received message. Params of auth requests are always redacted.
+	 * @param {ResClient~redactCallback} [opt.redact] Callback called with each log entry before it is passed to the logger, allowing sensitive data to be removed.
+	 * @param {number} [opt.maxCacheSize] Maximum number of cached resources before the least recently used resources without listeners are evicted. 0 means no limit. Defaults to 0.
+	 * @param {number} [opt.maxSubscriptions] Maximum number of subscribed resources before the least recently used resources without listeners are unsubscribed. 0 means no limit. Defaults to 0.
+	 * @param {number} [opt.subscribeStaleDelay] Time in milliseconds to wait before resubscribing to a stale resource that is still listened to. Defaults to 2000.
+	 * @param {boolean} [opt.resendOnReconnect] Flag telling if pending subscribe and get requests should be resent after reconnecting, instead of being rejected when the connection is lost. Defaults to false.
+	 * @param {ResClient~tokenResetCallback} [opt.onTokenReset] Callback called when the server requests the access token to be reset, allowing the client to reauthenticate.
+	 * @param {ResClient~tokenChangeCallback} [opt.onTokenChange] Callback called when the connection token is set or cleared.
+	 * @param {boolean} [opt.offlineQueue] Flag telling if call requests made while disconnected should be queued and sent once connected, instead of being rejected. Defaults to false.
+	 * @param {StorageAdapter} [opt.offlineStorage] Storage adapter used to persist queued requests, to be sent after a restart. Storage failures are emitted as error events.
+	 * @param {StorageAdapter} [opt.cacheStorage] Storage adapter used to persist the resource cache. On startup, the stored resources are restored as stale resources, available to get until the client connects. Storage failures are emitted as error events.
 	 */
 	constructor(hostUrl, opt) {
 		this.hostUrl = this._resolvePath(hostUrl);
 		obj.update(this, opt, {
 			onConnect: { type: '?function' },
+			onTokenReset: { type: '?function' },
+			onTokenChange: { type: '?function' },
 			namespace: { type: 'string', default: defaultNamespace },
-			eventBus: { type: 'object', default: eventBus }
+			eventBus: { type: 'object', default: eventBus },
+			requestTimeout: { type: 'number', default: 0 },
+			unsubscribeDelay: { type: 'number', default: defaultUnsubscribeDelay },
+			subscribeStaleDelay: { type: 'number', default: defaultSubscribeStaleDelay },
+			metrics: { type: '?object' },
+			logger: { type: '?function' },
+			redact: { type: '?function' },
+			maxCacheSize: { type: 'number', default: 0 },
+			maxSubscriptions: { type: 'number', default: 0 },
+			resendOnReconnect: { type: 'boolean', default: false },
+			offlineQueue: { type: 'boolean', default: false },
+			offlineStorage: { type: '?object' },
+			cacheStorage: { type: '?object' },
+			wsFactory: { type: '?function' },
+			transport: { type: '?function', property: 'transportFactory' }
 		});
+		if (!this.wsFactory) {
+			let WS = opt && opt.WebSocket;
+			this.wsFactory = WS ? url => new WS(url) : null;
+		}
+		if (!this.transportFactory) {
+			this.transportFactory = (url, handlers) => new WebSocketTransport(url, handlers, { wsFactory: this.wsFactory });
+		}
+		let reconnect = opt && opt.reconnect;
+		this.reconnectPolicy = typeof reconnect === 'function'
+			? reconnect
+			: createReconnectPolicy(reconnect);
 
+		this.state = connDisconnected;
 		this.tryConnect = false;
 		this.connected = false;
-		this.ws = null;
+		this.transport = null;
+		this.protocol = null; // Protocol version reported by the server
+		this.token = null; // Connection token
 		this.requests = {};
+		this.dropped = {}; // Timed out requests whose response should be ignored
+		this.resend = []; // Requests to resend on reconnect
 		this.reqId = 1; // Incremental request id
 		this.cache = {};
 		this.stale = null;
+		this.reconnectAttempt = 0; // Attempts since last established connection
+		this.pendingGets = {}; // Subscriptions of get calls waiting for a response, by resource ID
+		this.queue = []; // Offline requests to send once connected
+		this.queueId = 1; // Incremental offline request id
+		this.queueSending = null; // Offline request currently being sent
+		this.hydrated = null; // Resources restored from a snapshot or the cache storage, not yet requested
+		this.cacheSaveTimer = null;
+		this.useCount = 0; // Incremental counter for least recently used resources
+		this.evictTimer = null;
+		this.evicting = {}; // Resources being unsubscribed due to eviction
+		this.cacheCount = 0; // Number of cached resources
+		this.subscribedCount = 0; // Number of subscribed resources
 
 		// Queue promises
 		this.connectPromise = null;
 		this.connectCallback = null;
 
+		this.queueLoad = this.offlineStorage ? this._loadQueue() : null;
+		this.cacheLoad = this.cacheStorage ? this._loadCache() : null;
+
 		// Types
 		this.types = {
 			model: {
 				id: typeModel,
 				list: new TypeList(defaultModelFactory),
+				options: new TypeList(null),
 				prepareData: dta => {
 					let o = Object.assign({}, dta);
 					let v;
 					for (let k in o) {
 						v = o[k];
+						if (isDataValue(v)) {
+							o[k] = deepFreeze(v.data);
+						} else if (this._isSoftRef(v)) {
+							o[k] = new ResRef(this, v.rid);
 						// Is the value a reference, get the actual item from cache
-						if (typeof v === 'object' && v !== null && v.rid) {
+						} else if (typeof v === 'object' && v !== null && v.rid) {
 							let ci = this.cache[v.rid];
 							ci.addIndirect();
 							o[k] = ci.item;
@@ -92,7 +338,14 @@ class ResClient {
 			collection: {
 				id: typeCollection,
 				list: new TypeList(defaultCollectionFactory),
+				options: new TypeList(null),
 				prepareData: dta => dta.map(v => {
+					if (isDataValue(v)) {
+						return deepFreeze(v.data);
+					}
+					if (this._isSoftRef(v)) {
+						return new ResRef(this, v.rid);
+					}
 					// Is the value a reference, get the actual item from cache
 					if (typeof v === 'object' && v !== null && v.rid) {
 						let ci = this.cache[v.rid];
@@ -130,12 +383,13 @@ class ResClient {
 
 		return this.connectPromise = this.connectPromise || new Promise((resolve, reject) => {
 			this.connectCallback = { resolve, reject };
-			this.ws = new WebSocket(this.hostUrl);
-
-			this.ws.onopen = this._handleOnopen;
-			this.ws.onerror = this._handleOnerror;
-			this.ws.onmessage = this._handleOnmessage;
-			this.ws.onclose = this._handleOnclose;
+			this._setState(connConnecting);
+			this.transport = this.transportFactory(this.hostUrl, {
+				onOpen: this._handleOnopen,
+				onError: this._handleOnerror,
+				onMessage: this._handleOnmessage,
+				onClose: this._handleOnclose
+			});
 		});
 	}
 
@@ -145,9 +399,11 @@ class ResClient {
 	 */
 	disconnect() {
 		this.tryConnect = false;
+		this._setState(connClosed);
+		this._rejectResend();
 
-		if (this.ws) {
-			this.ws.close();
+		if (this.transport) {
+			this.transport.close();
 			this._connectReject({ code: 'system.disconnect', message: "Disconnect called" });
 		}
 	}
@@ -160,6 +416,48 @@ class ResClient {
 		return this.hostUrl;
 	}
 
+	/**
+	 * Gets the connection state.
+	 * The state is one of the following:
+	 * * 'disconnected' - No connection, and no attempts are made to connect.
+	 * * 'connecting' - Waiting for the connection to be established.
+	 * * 'handshaking' - Connection is established, waiting for the onConnect callback to resolve.
+	 * * 'connected' - Connection is established and ready.
+	 * * 'reconnecting' - Connection is lost, waiting to make a new attempt to connect.
+	 * * 'closed' - Connection is closed by calling disconnect.
+	 * @returns {string} Connection state.
+	 */
+	getState() {
+		return this.state;
+	}
+
+	/**
+	 * Gets the RES-Client protocol version used by the server,
+	 * as negotiated by the version request on connect.
+	 * A server not supporting the version request is assumed to use version 1.1.1.
+	 * @returns {?string} Protocol version, or null if no connection is established.
+	 */
+	getProtocolVersion() {
+		return this.protocol;
+	}
+
+	/**
+	 * Gets the access token of the connection, as last set by the server.
+	 * The token is cleared when the connection is lost.
+	 * @returns {*} Connection token, or null if no token is set.
+	 */
+	getToken() {
+		return this.token;
+	}
+
+	/**
+	 * Gets the requests queued while offline, in the order they will be sent.
+	 * @returns {Array.<ResClient~pendingRequest>} Pending requests.
+	 */
+	getPendingRequests() {
+		return this.queue.map(req => this._pendingRequest(req));
+	}
+
 	/**
 	 * Attach an  event handler function for one or more instance events.
 	 * @param {?string} events One or more space-separated events. Null means any event.
@@ -188,6 +486,125 @@ class ResClient {
 		return this;
 	}
 
+	/**
+	 * Sets the onTokenReset callback.
+	 * @param {?ResClient~tokenResetCallback} onTokenReset Callback called when the server requests the access token to be reset.
+	 * @returns {this}
+	 */
+	setOnTokenReset(onTokenReset) {
+		this.onTokenReset = onTokenReset;
+		return this;
+	}
+
+	/**
+	 * WebSocket factory callback
+	 * @callback ResClient~wsFactory
+	 * @param {string} url WebSocket URL.
+	 * @returns {WebSocket} WebSocket instance.
+	 */
+
+	/**
+	 * Reconnect callback used to decide the delay before each reconnect attempt.
+	 * @callback ResClient~reconnectCallback
+	 * @param {number} attempt Reconnect attempt, starting with 1 after a lost connection.
+	 * @param {?object} e Close event of the last connection.
+	 * @returns {?number} Delay in milliseconds before the attempt, or null to stop reconnecting.
+	 */
+
+	/**
+	 * Reconnecting event data
+	 * @typedef {object} ResClient~reconnectingEvent
+	 * @property {number} attempt Reconnect attempt, starting with 1 after a lost connection.
+	 * @property {number} delay Delay in milliseconds before the attempt is made.
+	 */
+
+	/**
+	 * State change event data
+	 * @typedef {object} ResClient~stateChangeEvent
+	 * @property {string} oldState Previous connection state.
+	 * @property {string} newState New connection state.
+	 */
+
+	/**
+	 * Token reset event data, as sent by the server on a system.tokenReset event.
+	 * @typedef {object} ResClient~tokenResetEvent
+	 * @property {Array.<string>} tids Token IDs of the tokens to reset.
+	 * @property {string} subject Subject to send an auth request to, to reauthenticate.
+	 */
+
+	/**
+	 * Token event data
+	 * @typedef {object} ResClient~tokenEvent
+	 * @property {*} token Connection token, or null if the token is cleared.
+	 */
+
+	/**
+	 * Token change callback
+	 * @callback ResClient~tokenChangeCallback
+	 * @param {*} token Connection token, or null if the token is cleared.
+	 * @param {ResClient} client ResClient instance.
+	 */
+
+	/**
+	 * Token reset callback
+	 * @callback ResClient~tokenResetCallback
+	 * @param {ResClient~tokenResetEvent} data Token reset event data.
+	 * @param {ResClient} client ResClient instance.
+	 */
+
+	/**
+	 * Request queued while offline
+	 * @typedef {object} ResClient~pendingRequest
+	 * @property {number} id Queue ID of the request.
+	 * @property {string} method Request method, such as "call.example.model.set".
+	 * @property {*} params Request parameters.
+	 */
+
+	/**
+	 * Request success event data, emitted when a queued request succeeds.
+	 * @typedef {object} ResClient~requestSuccessEvent
+	 * @property {ResClient~pendingRequest} request Queued request.
+	 * @property {*} result Request result.
+	 */
+
+	/**
+	 * Request error event data, emitted when a queued request fails.
+	 * @typedef {object} ResClient~requestErrorEvent
+	 * @property {ResClient~pendingRequest} request Queued request.
+	 * @property {ResError} error Request error.
+	 */
+
+	/**
+	 * Evict event data, emitted when a resource is evicted due to the cache limits.
+	 * @typedef {object} ResClient~evictEvent
+	 * @property {string} rid Resource ID of the evicted resource.
+	 * @property {(ResModel|ResCollection|ResError)} item Evicted resource.
+	 */
+
+	/**
+	 * Traffic log entry
+	 * @typedef {object} ResClient~logEntry
+	 * @property {string} direction Message direction. Either 'out' or 'in'.
+	 * @property {string} type Message type. Either 'request', 'response', 'error', or 'event'.
+	 * @property {?number} id Request ID, or null for events.
+	 * @property {?string} method Request method, or event name for events.
+	 * @property {?number} elapsed Time in milliseconds since the request was sent, or null for requests and events.
+	 * @property {*} payload Request params, response result, error object, or event data.
+	 */
+
+	/**
+	 * Logger callback
+	 * @callback ResClient~loggerCallback
+	 * @param {ResClient~logEntry} entry Log entry.
+	 */
+
+	/**
+	 * Redact callback
+	 * @callback ResClient~redactCallback
+	 * @param {ResClient~logEntry} entry Log entry.
+	 * @returns {?ResClient~logEntry} Log entry to pass to the logger, or null to not log the entry.
+	 */
+
 	/**
 	 * Resource factory callback
 	 * @callback resourceFactoryCallback
@@ -195,16 +612,27 @@ class ResClient {
 	 * @param {string} rid Resource ID
 	 */
 
+	/**
+	 * Resource type options
+	 * @typedef {object} ResClient~typeOptions
+	 * @property {number} [unsubscribeDelay] Time in milliseconds to keep a subscription after the resource is no longer listened to. Defaults to the unsubscribeDelay setting of the client.
+	 * @property {number} [subscribeStaleDelay] Time in milliseconds to wait before resubscribing to a stale resource. Defaults to the subscribeStaleDelay setting of the client.
+	 */
+
 	/**
 	 * Register a model type.
 	 * The pattern may use the following wild cards:
 	 * * The asterisk (*) matches any part at any level of the resource name.
 	 * * The greater than symbol (>) matches one or more parts at the end of a resource name, and must be the last part.
 	 * @param {string} pattern Pattern of the model type.
-	 * @param {resourceFactoryCallback} factory Model factory callback
+	 * @param {?resourceFactoryCallback} factory Model factory callback. Null uses the default factory.
+	 * @param {ResClient~typeOptions} [opt] Optional settings for models matching the pattern.
 	 */
-	registerModelType(pattern, factory) {
+	registerModelType(pattern, factory, opt) {
 		this.types.model.list.addFactory(pattern, factory);
+		if (opt) {
+			this.types.model.options.addFactory(pattern, opt);
+		}
 	}
 
 	/**
@@ -213,6 +641,7 @@ class ResClient {
 	 * @returns {resourceFactoryCallback} Unregistered model factory callback
 	 */
 	unregisterModelType(pattern) {
+		this.types.model.options.removeFactory(pattern);
 		return this.types.model.list.removeFactory(pattern);
 	}
 
@@ -222,10 +651,14 @@ class ResClient {
 	 * * The asterisk (*) matches any part at any level of the resource name.
 	 * * The greater than symbol (>) matches one or more parts at the end of a resource name, and must be the last part.
 	 * @param {string} pattern Pattern of the collection type.
-	 * @param {ResClient~resourceFactoryCallback} factory Collection factory callback
+	 * @param {?ResClient~resourceFactoryCallback} factory Collection factory callback. Null uses the default factory.
+	 * @param {ResClient~typeOptions} [opt] Optional settings for collections matching the pattern.
 	 */
-	registerCollectionType(pattern, factory) {
+	registerCollectionType(pattern, factory, opt) {
 		this.types.collection.list.addFactory(pattern, factory);
+		if (opt) {
+			this.types.collection.options.addFactory(pattern, opt);
+		}
 	}
 
 	/**
@@ -234,28 +667,247 @@ class ResClient {
 	 * @returns {resourceFactoryCallback} Unregistered collection factory callback
 	 */
 	unregisterCollectionType(pattern) {
-		return this.types.model.list.removeFactory(pattern);
+		this.types.collection.options.removeFactory(pattern);
+		return this.types.collection.list.removeFactory(pattern);
 	}
 
+	/**
+	 * Request options
+	 * @typedef {object} ResClient~requestOptions
+	 * @property {number} [timeout] Time in milliseconds to wait for a response before rejecting with a system.timeout error. 0 means no timeout. Defaults to the requestTimeout setting of the client.
+	 * @property {AbortSignal} [signal] Signal that aborts the request, rejecting it with a system.aborted error.
+	 */
+
 	/**
 	 * Get a resource from the API
+	 * The signal and timeout options only apply to the caller. The subscription
+	 * is aborted, and the resource removed from the cache, once every caller
+	 * waiting for it has aborted or timed out.
+	 * A deleted resource, still in the cache, is rejected with a system.deleted error.
 	 * @param {string} rid Resource ID
-	 * @param {function} [collectionFactory] Collection factory function.
+	 * @param {ResClient~requestOptions} [opt] Optional request options for the subscribe request.
 	 * @return {Promise.<(ResModel|ResCollection)>} Promise of the resource.
 	 */
-	get(rid) {
+	get(rid, opt) {
+		let signal = opt && opt.signal;
+		if (signal && signal.aborted) {
+			return Promise.reject(new ResError(rid, 'subscribe.' + rid).__init(errorAborted));
+		}
+
+		// Wait for the cache storage to be restored
+		if (this.cacheLoad) {
+			return this.cacheLoad.then(() => this.get(rid, opt));
+		}
+
 		// Check for resource in cache
 		let ci = this.cache[rid];
 		if (ci) {
-			return ci.promise ? ci.promise : Promise.resolve(ci.item);
+			if (ci.deleted) {
+				return Promise.reject(new ResError(rid, 'subscribe.' + rid).__init(errorDeleted));
+			}
+			ci.lastUsed = ++this.useCount;
+			if (this.hydrated && this.hydrated[rid]) {
+				this._resubscribeHydrated(ci);
+			}
+			if (!ci.promise) {
+				return Promise.resolve(ci.item);
+			}
+			return this._waitForGet(ci, opt);
 		}
 
 		ci = new CacheItem(rid, this._unsubscribe);
-		this.cache[rid] = ci;
+		this._addCacheItem(ci);
 
-		return ci.setPromise(
-			this._subscribe(ci, true).then(() => ci.item)
-		);
+		// The subscription is shared by all callers, and is not bound to the options of any of them
+		let pending = { waiting: 0, signal: createSignal() };
+		let done = () => {
+			if (this.pendingGets[rid] === pending) {
+				delete this.pendingGets[rid];
+			}
+		};
+		this.pendingGets[rid] = pending;
+		ci.setPromise(
+			this._subscribe(ci, true, { signal: pending.signal }).then(() => ci.item)
+		).then(done, done);
+		return this._waitForGet(ci, opt);
+	}
+
+	/**
+	 * Waits for the pending subscription of a get call. The caller is rejected on its own
+	 * abort signal or timeout, and the subscription is aborted once no caller is waiting.
+	 * @param {CacheItem} ci Cache item being subscribed to.
+	 * @param {ResClient~requestOptions} [opt] Optional request options of the caller.
+	 * @returns {Promise.<(ResModel|ResCollection)>} Promise of the resource.
+	 * @private
+	 */
+	_waitForGet(ci, opt) {
+		let rid = ci.rid;
+		let promise = ci.promise;
+		let pending = this.pendingGets[rid];
+		if (!pending) {
+			return promise;
+		}
+
+		let signal = opt && opt.signal;
+		let timeout = opt && typeof opt.timeout === 'number' ? opt.timeout : 0;
+		pending.waiting++;
+		return new Promise((resolve, reject) => {
+			let timer = null;
+			let onAbort = () => giveUp(errorAborted);
+			let done = () => {
+				clearTimeout(timer);
+				if (signal) {
+					signal.removeEventListener('abort', onAbort);
+				}
+			};
+			let giveUp = error => {
+				done();
+				reject(new ResError(rid, 'subscribe.' + rid).__init(error));
+				if (--pending.waiting === 0) {
+					pending.signal.abort();
+				}
+			};
+			if (timeout) {
+				timer = setTimeout(() => giveUp(errorTimeout), timeout);
+			}
+			if (signal) {
+				signal.addEventListener('abort', onAbort);
+			}
+			promise.then(
+				v => { done(); resolve(v); },
+				e => { done(); reject(e); }
+			);
+		});
+	}
+
+	/**
+	 * Fetches a snapshot of a resource from the API, without subscribing to it.
+	 * Models are returned as frozen plain objects, and collections as frozen arrays,
+	 * with referenced resources included as snapshots in the same way.
+	 * Nothing is added to the cache.
+	 * @param {string} rid Resource ID
+	 * @param {ResClient~requestOptions} [opt] Optional request options for the get request.
+	 * @returns {Promise.<(object|Array.<*>)>} Promise of the resource snapshot.
+	 */
+	fetch(rid, opt) {
+		return this._send('get', rid, null, null, opt)
+			.then(response => this._createSnapshot(rid, response || {}));
+	}
+
+	/**
+	 * Cache item information, as returned by inspectCache.
+	 * @typedef {object} ResClient~cacheInfo
+	 * @property {string} rid Resource ID.
+	 * @property {?string} type Resource type. Either 'model', 'collection', 'error', or null if not yet loaded.
+	 * @property {boolean} subscribed Flag telling if the resource is subscribed to.
+	 * @property {boolean} stale Flag telling if the resource is stale, waiting to be subscribed to.
+	 * @property {boolean} deleted Flag telling if the resource is deleted.
+	 * @property {number} direct Number of direct listeners.
+	 * @property {number} indirect Number of references from other cached resources.
+	 * @property {boolean} unsubscribePending Flag telling if the resource is about to be unsubscribed.
+	 * @property {Array.<string>} references Resource IDs of the resources it references.
+	 * @property {Array.<string>} referencedBy Resource IDs of the resources referencing it.
+	 */
+
+	/**
+	 * Inspects the cache, for debugging purposes.
+	 * @returns {Object.<string, ResClient~cacheInfo>} Information about each cached resource, keyed by resource ID.
+	 */
+	inspectCache() {
+		let info = {};
+		for (let rid in this.cache) {
+			let ci = this.cache[rid];
+			info[rid] = {
+				rid,
+				type: ci.type,
+				subscribed: ci.subscribed,
+				stale: !!(this.stale && this.stale[rid]),
+				deleted: ci.deleted,
+				direct: ci.direct,
+				indirect: ci.indirect,
+				unsubscribePending: !!ci.unsubTimeout,
+				references: this._getReferences(ci),
+				referencedBy: []
+			};
+		}
+		for (let rid in info) {
+			for (let ref of info[rid].references) {
+				if (info[ref]) {
+					info[ref].referencedBy.push(rid);
+				}
+			}
+		}
+		return info;
+	}
+
+	/**
+	 * Gets the graph of references between cached resources, for debugging purposes.
+	 * Each node has a state telling if the resource is subscribed, or else what the
+	 * garbage collector would do with it: 'keep', 'stale', or 'delete'.
+	 * @param {string} [format] Graph format. Either 'json' or 'dot'. Defaults to 'json'.
+	 * @returns {(object|string)} Graph object with nodes and edges, or a DOT formatted string.
+	 */
+	getReferenceGraph(format) {
+		let nodes = [];
+		let edges = [];
+		for (let rid in this.cache) {
+			let ci = this.cache[rid];
+			nodes.push({ rid, type: ci.type, state: this._getGCState(ci) });
+			for (let ref of this._getReferences(ci)) {
+				edges.push({ from: rid, to: ref });
+			}
+		}
+
+		if (format === 'dot') {
+			let lines = [ 'digraph resclient {' ];
+			for (let n of nodes) {
+				let style = { subscribed: 'bold', stale: 'dashed', 'delete': 'dotted' }[n.state] || 'solid';
+				lines.push('\t' + JSON.stringify(n.rid) + ' [label=' + JSON.stringify(n.rid + ' (' + n.type + ')') + ', style=' + style + '];');
+			}
+			for (let e of edges) {
+				lines.push('\t' + JSON.stringify(e.from) + ' -> ' + JSON.stringify(e.to) + ';');
+			}
+			lines.push('}');
+			return lines.join('\n');
+		}
+		if (format && format !== 'json') {
+			throw new Error("Unknown graph format: " + format);
+		}
+		return { nodes, edges };
+	}
+
+	/**
+	 * Gets a snapshot of cached resources, and the resources they reference,
+	 * that may be serialized to JSON and passed to hydrate.
+	 * @param {Array.<string>} [rids] Resource IDs of the resources to include. Defaults to all cached resources.
+	 * @returns {object} Snapshot of the resources.
+	 */
+	getSnapshot(rids) {
+		return this._serializeResources(rids || Object.keys(this.cache).filter(rid => !this.cache[rid].deleted));
+	}
+
+	/**
+	 * Adds the resources of a snapshot, created by getSnapshot, to the cache.
+	 * The resources are resolved by get without any request, and are subscribed to
+	 * once requested. Resources not requested before the client connects are removed.
+	 * Resources already in the cache are not replaced.
+	 * @param {object} snapshot Snapshot of resources.
+	 */
+	hydrate(snapshot) {
+		let resources = {};
+		let hydrated = this.hydrated || {};
+		for (let t of resourceTypes) {
+			let refs = snapshot[t + 's'];
+			for (let rid in refs) {
+				if (!this.cache[rid]) {
+					resources[t + 's'] = resources[t + 's'] || {};
+					resources[t + 's'][rid] = refs[rid];
+					hydrated[rid] = true;
+				}
+			}
+		}
+		this._cacheResources(resources);
+		this.hydrated = hydrated;
 	}
 
 	/**
@@ -263,10 +915,11 @@ class ResClient {
 	 * @param {string} rid Resource ID.
 	 * @param {string} method Method name
 	 * @param {*} params Method parameters
+	 * @param {ResClient~requestOptions} [opt] Optional request options.
 	 * @returns {Promise.<object>} Promise of the call result.
 	 */
-	call(rid, method, params) {
-		return this._send('call', rid, method || '', params);
+	call(rid, method, params, opt) {
+		return this._call('call', rid, method, params, opt);
 	}
 
 	/**
@@ -274,24 +927,26 @@ class ResClient {
 	 * @param {string} rid Resource ID.
 	 * @param {string} method Method name
 	 * @param {*} params Method parameters
+	 * @param {ResClient~requestOptions} [opt] Optional request options.
 	 * @returns {Promise.<object>} Promise of the authentication result.
 	 */
-	authenticate(rid, method, params) {
-		return this._send('auth', rid, method || '', params);
+	authenticate(rid, method, params, opt) {
+		return this._call('auth', rid, method, params, opt);
 	}
 
 	/**
 	 * Creates a new resource by calling the 'new' method.
 	 * @param {*} rid Resource ID
 	 * @param {*} params Method parameters
+	 * @param {ResClient~requestOptions} [opt] Optional request options.
 	 * @return {Promise.<(ResModel|ResCollection)>} Promise of the resource.
 	 */
-	create(rid, params) {
-		return this._send('new', rid, null, params)
+	create(rid, params, opt) {
+		return this._send('new', rid, null, params, opt)
 			.then(response => {
 				this._cacheResources(response);
 				let ci = this.cache[response.rid];
-				ci.setSubscribed(true);
+				this._setSubscribed(ci, true);
 				return ci.item;
 			});
 	}
@@ -300,9 +955,10 @@ class ResClient {
 	 * Calls the set method to update model properties.
 	 * @param {string} modelId Model resource ID.
 	 * @param {object} props Properties. Set value to undefined to delete a property.
+	 * @param {ResClient~requestOptions} [opt] Optional request options.
 	 * @returns {Promise.<object>} Promise of the call being completed.
 	 */
-	setModel(modelId, props) {
+	setModel(modelId, props, opt) {
 		props = Object.assign({}, props);
 		// Replace undefined with actionDelete object
 		Object.keys(props).forEach(k => {
@@ -311,7 +967,7 @@ class ResClient {
 			}
 		});
 
-		return this._send('call', modelId, 'set', props);
+		return this._send('call', modelId, 'set', props, opt);
 	}
 
 	resourceOn(rid, events, handler) {
@@ -321,6 +977,7 @@ class ResClient {
 		}
 
 		cacheItem.addDirect();
+		cacheItem.lastUsed = ++this.useCount;
 		this.eventBus.on(cacheItem.item, events, handler, this.namespace + '.resource.' + rid);
 	}
 
@@ -331,19 +988,49 @@ class ResClient {
 		}
 
 		cacheItem.removeDirect();
+		cacheItem.lastUsed = ++this.useCount;
 		this.eventBus.off(cacheItem.item, events, handler, this.namespace + '.resource.' + rid);
 	}
 
+	/**
+	 * Sends a call or auth request, and unwraps the result.
+	 * Since protocol version 1.2.0, the result is either a payload,
+	 * or a resource reference to a resource the client is subscribed to.
+	 * @param {string} action Action name. Either 'call' or 'auth'.
+	 * @param {string} rid Resource ID
+	 * @param {?string} method Method name
+	 * @param {*} params Method parameters
+	 * @param {ResClient~requestOptions} [opt] Optional request options
+	 * @returns {Promise.<*>} Promise to the result.
+	 * @private
+	 */
+	_call(action, rid, method, params, opt) {
+		return this._send(action, rid, method || '', params, opt)
+			.then(result => {
+				if (versionToInt(this.protocol) < versionToInt('1.2.0')) {
+					return result;
+				}
+				if (result && result.rid) {
+					this._cacheResources(result);
+					let ci = this.cache[result.rid];
+					this._setSubscribed(ci, true);
+					return ci.item;
+				}
+				return result ? result.payload : result;
+			});
+	}
+
 	/**
 	 * Sends a JsonRpc call to the API
 	 * @param {string} action Action name
 	 * @param {string} rid Resource ID
 	 * @param {?string} method Optional method name
 	 * @param {?object} params Optional parameters
+	 * @param {ResClient~requestOptions} [opt] Optional request options
 	 * @returns {Promise.<object>} Promise to the response
 	 * @private
 	 */
-	_send(action, rid, method, params) {
+	_send(action, rid, method, params, opt) {
 		if (!rid) {
 			throw new Error("Invalid resource ID");
 		}
@@ -354,61 +1041,373 @@ class ResClient {
 
 		let m = action + '.' + rid + (method ? '.' + method : '');
 
-		return this.connected
-			? this._sendNow(m, params)
-			: this.connect()
-				.catch(e => { throw new ResError(rid, m, params).__init(e); })
-				.then(() => this._sendNow(m, params));
+		if (opt && opt.signal && opt.signal.aborted) {
+			return Promise.reject(new ResError(rid, m, params).__init(errorAborted));
+		}
+
+		// Fail fast on calls to deleted resources
+		let ci = this.cache[rid];
+		if (action === 'call' && ci && ci.deleted) {
+			return Promise.reject(new ResError(rid, m, params).__init(errorDeleted));
+		}
+
+		// Queue calls while offline, or while queued requests are yet to be sent, to keep the order.
+		// Calls made during the handshake, such as by the onConnect callback, are sent right away,
+		// as the queue is not sent until the handshake is completed.
+		if (action === 'call' && this.offlineQueue && this.state !== connHandshaking && (!this.connected || this.queueLoad || this.queue.length > 0 || this.queueSending)) {
+			return this._enqueue(rid, m, params, opt);
+		}
+
+		if (this.connected) {
+			return this._sendNow(m, params, opt);
+		}
+
+		let promise = this.connect()
+			.catch(e => { throw new ResError(rid, m, params).__init(e); })
+			.then(() => this._sendNow(m, params, opt));
+		// The request may be aborted while waiting for the connection
+		return opt && opt.signal
+			? this._abortable(promise, opt.signal, new ResError(rid, m, params))
+			: promise;
 	}
 
-	_sendNow(method, params) {
+	_sendNow(method, params, opt) {
 		return new Promise((resolve, reject) => {
+			let signal = opt && opt.signal;
+			if (signal && signal.aborted) {
+				reject(this._createRequestError({ method, params }, errorAborted));
+				return;
+			}
+
 			// Prepare request object
 			var req = { id: this.reqId++, method: method, params: params || undefined };
 
-			this.requests[req.id] = {
+			let r = this.requests[req.id] = {
 				method: method,
 				params: req.params,
+				opt: opt,
 				resolve: resolve,
-				reject: reject
+				reject: reject,
+				timer: null,
+				onAbort: null,
+				start: this.metrics || this.logger ? now() : 0
 			};
 
+			let timeout = opt && typeof opt.timeout === 'number' ? opt.timeout : this.requestTimeout;
+			if (timeout) {
+				r.timer = setTimeout(() => this._dropRequest(req.id, errorTimeout), timeout);
+			}
+			if (signal) {
+				r.onAbort = () => this._dropRequest(req.id, errorAborted);
+				signal.addEventListener('abort', r.onAbort);
+			}
+
 			var json = JSON.stringify(req);
-			this.ws.send(json);
+			if (this.logger) {
+				// Log a copy, as the redact callback may modify the payload
+				this._log({ direction: 'out', type: 'request', id: req.id, method, elapsed: null, payload: JSON.parse(json).params });
+			}
+			if (this.metrics) {
+				this._report('increment', 'messages.out', 1);
+				this._report('increment', 'bytes.out', utf8Length(json));
+			}
+			this.transport.send(json);
 		});
 	}
 
 	/**
-	 * Receives a incoming json encoded data string and executes the appropriate functions/callbacks.
-	 * @param {string} json Json encoded data
+	 * Adds a request to the offline queue, to be sent once connected.
+	 * @param {string} rid Resource ID
+	 * @param {string} method Request method
+	 * @param {*} params Request parameters
+	 * @param {ResClient~requestOptions} [opt] Optional request options
+	 * @returns {Promise.<object>} Promise to the response
 	 * @private
 	 */
-	_receive(json) {
-		let data = JSON.parse(json.trim());
-
-		if (data.hasOwnProperty('id')) {
-
-			// Find the stored request
-			let req = this.requests[data.id];
-			if (!req) {
-				throw new Error("Server response without matching request");
+	_enqueue(rid, method, params, opt) {
+		let signal = opt && opt.signal;
+		return new Promise((resolve, reject) => {
+			let req = { id: this.queueId++, method, params, opt, resolve, reject, onAbort: null };
+			if (signal) {
+				req.onAbort = () => {
+					if (this.queueSending !== req && this._dequeue(req)) {
+						reject(new ResError(rid, method, params).__init(errorAborted));
+					}
+				};
+				signal.addEventListener('abort', req.onAbort);
 			}
-
-			delete this.requests[data.id];
-
-			if (data.hasOwnProperty("error")) {
-				this._handleErrorResponse(req, data);
+			this.queue.push(req);
+			this._saveQueue();
+			this._emit('requestQueued', this._pendingRequest(req));
+			if (this.connected) {
+				this._sendQueue();
 			} else {
-				this._handleSuccessResponse(req, data);
+				this.connect().catch(() => {});
 			}
-		} else if (data.hasOwnProperty('event')) {
-			this._handleEvent(data);
-		} else {
-			throw new Error("Invalid message from server: " + json);
-		}
+		});
+	}
+
+	/**
+	 * Removes a request from the offline queue.
+	 * @param {object} req Queued request object
+	 * @returns {boolean} True if the request was in the queue.
+	 * @private
+	 */
+	_dequeue(req) {
+		let idx = this.queue.indexOf(req);
+		if (idx === -1) {
+			return false;
+		}
+		this.queue.splice(idx, 1);
+		if (req.onAbort) {
+			req.opt.signal.removeEventListener('abort', req.onAbort);
+			req.onAbort = null;
+		}
+		this._saveQueue();
+		return true;
+	}
+
+	/**
+	 * Sends the queued offline requests one at a time, in order.
+	 * A request that fails due to a lost connection is kept in the queue.
+	 * @private
+	 */
+	_sendQueue() {
+		let req = this.queue[0];
+		if (!req || this.queueSending || this.queueLoad || this.state !== connConnected) {
+			return;
+		}
+
+		this.queueSending = req;
+		let next = () => {
+			this.queueSending = null;
+			this._sendQueue();
+		};
+		this._sendNow(req.method, req.params, req.opt).then(result => {
+			this._dequeue(req);
+			this._emit('requestSuccess', { request: this._pendingRequest(req), result });
+			if (req.resolve) {
+				req.resolve(result);
+			}
+			next();
+		}, err => {
+			if (err.code === errorDisconnect.code) {
+				this.queueSending = null;
+				return;
+			}
+			this._dequeue(req);
+			this._emit('requestError', { request: this._pendingRequest(req), error: err });
+			if (req.reject) {
+				req.reject(err);
+			}
+			next();
+		});
+	}
+
+	/**
+	 * Loads queued requests from the offline storage.
+	 * Loaded requests are put before any request queued in this session,
+	 * and no queued request is sent or saved until loaded.
+	 * @returns {Promise} Promise of the queue being loaded.
+	 * @private
+	 */
+	_loadQueue() {
+		return Promise.resolve()
+			.then(() => this.offlineStorage.load(this.namespace + '.queue'))
+			.then(list => {
+				if (!Array.isArray(list)) {
+					return;
+				}
+				let ids = {};
+				for (let req of this.queue) {
+					ids[req.id] = true;
+				}
+				let loaded = list.map(r => ({
+					// Requests queued in this session may already use the ID
+					id: ids[r.id] ? 0 : r.id,
+					method: r.method,
+					params: r.params,
+					opt: null,
+					resolve: null,
+					reject: null,
+					onAbort: null
+				}));
+				for (let req of loaded) {
+					this.queueId = Math.max(this.queueId, req.id + 1);
+				}
+				for (let req of loaded) {
+					req.id = req.id || this.queueId++;
+				}
+				this.queue = loaded.concat(this.queue);
+			})
+			.catch(err => this._emit('error', err))
+			.then(() => {
+				this.queueLoad = null;
+				if (this.queue.length) {
+					this._saveQueue();
+					this._sendQueue();
+				}
+			});
+	}
+
+	/**
+	 * Persists the queued requests to the offline storage.
+	 * @private
+	 */
+	_saveQueue() {
+		// The stored queue is saved once loaded
+		if (!this.offlineStorage || this.queueLoad) {
+			return;
+		}
+		Promise.resolve()
+			.then(() => this.offlineStorage.save(this.namespace + '.queue', this.queue.map(req => this._pendingRequest(req))))
+			.catch(err => this._emit('error', err));
+	}
+
+	/**
+	 * Creates a pending request object from a queued request.
+	 * @param {object} req Queued request object
+	 * @returns {ResClient~pendingRequest} Pending request.
+	 * @private
+	 */
+	_pendingRequest(req) {
+		return { id: req.id, method: req.method, params: req.params };
+	}
+
+	/**
+	 * Clears any timeout timer and abort listener of a stored request.
+	 * @param {object} req Stored request object
+	 * @private
+	 */
+	_clearRequest(req) {
+		if (req.timer) {
+			clearTimeout(req.timer);
+			req.timer = null;
+		}
+		if (req.onAbort) {
+			req.opt.signal.removeEventListener('abort', req.onAbort);
+			req.onAbort = null;
+		}
+	}
+
+	/**
+	 * Rejects a pending request that has timed out or been aborted.
+	 * Any later response to the request will be dropped.
+	 * @param {number} id Request ID
+	 * @param {object} error Error object with code and message
+	 * @private
+	 */
+	_dropRequest(id, error) {
+		let req = this.requests[id];
+		if (!req) {
+			return;
+		}
+
+		delete this.requests[id];
+		this._clearRequest(req);
+		this.dropped[id] = req.method;
+		req.reject(this._createRequestError(req, error));
+	}
+
+	/**
+	 * Wraps a promise so that it is rejected when the signal is aborted.
+	 * @param {Promise} promise Promise to wrap
+	 * @param {AbortSignal} signal Abort signal
+	 * @param {ResError} err Error to initialize and reject with on abort
+	 * @returns {Promise} Abortable promise
+	 * @private
+	 */
+	_abortable(promise, signal, err) {
+		return new Promise((resolve, reject) => {
+			let onAbort = () => reject(err.__init(errorAborted));
+			let done = () => signal.removeEventListener('abort', onAbort);
+			signal.addEventListener('abort', onAbort);
+			promise.then(
+				v => { done(); resolve(v); },
+				e => { done(); reject(e); }
+			);
+		});
+	}
+
+	/**
+	 * Handles a response to a dropped request.
+	 * A subscription made by a dropped subscribe request is removed,
+	 * as the client is not aware of it.
+	 * @param {object} data Response data
+	 * @private
+	 */
+	_handleDroppedResponse(data) {
+		let method = this.dropped[data.id];
+		delete this.dropped[data.id];
+
+		if (!data.hasOwnProperty('error') && method.substr(0, 10) === 'subscribe.') {
+			this._sendNow('unsubscribe.' + method.substr(10)).catch(() => {});
+		}
+	}
+
+	/**
+	 * Receives a incoming json encoded data string and executes the appropriate functions/callbacks.
+	 * @param {string} json Json encoded data
+	 * @private
+	 */
+	_receive(json) {
+		let data = JSON.parse(json.trim());
+		if (this.logger) {
+			// Log a copy, as the redact callback may modify the payload
+			this._logMessage(JSON.parse(json));
+		}
+
+		if (data.hasOwnProperty('id')) {
+
+			// Find the stored request
+			let req = this.requests[data.id];
+			if (!req) {
+				if (this.dropped.hasOwnProperty(data.id)) {
+					this._handleDroppedResponse(data);
+					return;
+				}
+				throw new Error("Server response without matching request");
+			}
+
+			delete this.requests[data.id];
+			this._clearRequest(req);
+			if (this.metrics) {
+				this._reportLatency(req, data.error);
+			}
+
+			if (data.hasOwnProperty("error")) {
+				this._handleErrorResponse(req, data);
+			} else {
+				this._handleSuccessResponse(req, data);
+			}
+		} else if (data.hasOwnProperty('event')) {
+			this._handleEvent(data);
+		} else {
+			throw new Error("Invalid message from server: " + json);
+		}
 	}
 
 	_handleErrorResponse(req, data) {
+		let err = this._createRequestError(req, data.error);
+		// A legacy server rejecting the version request is expected, and not an error
+		if (req.method !== 'version' || err.code !== 'system.invalidRequest') {
+			try {
+				this._emit('error', err);
+			} catch (ex) {}
+		}
+
+		// Execute error callback bound to calling object
+		req.reject(err);
+	}
+
+	/**
+	 * Creates a ResError for a failed request.
+	 * @param {object} req Stored request object
+	 * @param {object} error Error object with code, message, and data
+	 * @returns {ResError} Request error
+	 * @private
+	 */
+	_createRequestError(req, error) {
 		let m = req.method;
 		// Extract the rid if possible
 		let rid = "";
@@ -423,18 +1422,11 @@ class ResClient {
 				}
 			}
 		}
-		let err = new ResError(
+		return new ResError(
 			rid.trim(),
 			m,
 			req.params
-		);
-		err.__init(data.error);
-		try {
-			this._emit('error', err);
-		} catch (ex) {}
-
-		// Execute error callback bound to calling object
-		req.reject(err);
+		).__init(error);
 	}
 
 	_handleSuccessResponse(req, data) {
@@ -450,13 +1442,25 @@ class ResClient {
 		}
 
 		let rid = data.event.substr(0, idx);
+		let event = data.event.substr(idx + 1);
+
+		// Connection events
+		if (rid === 'system') {
+			this._handleSystemEvent(event, data.data);
+			return;
+		}
+
+		// Query events are sent on the resource ID without query
+		if (event === 'query') {
+			this._handleQueryEvent(rid, data.data);
+			return;
+		}
 
 		let cacheItem = this.cache[rid];
 		if (!cacheItem) {
 			throw new Error("Resource not found in cache");
 		}
 
-		let event = data.event.substr(idx + 1);
 		let handled = false;
 		switch (event) {
 		case 'change':
@@ -472,13 +1476,22 @@ class ResClient {
 			break;
 
 		case 'unsubscribe':
-			handled = this._handleUnsubscribeEvent(cacheItem, event);
+			handled = this._handleUnsubscribeEvent(cacheItem, event, data.data);
+			break;
+
+		case 'reaccess':
+			handled = this._handleReaccessEvent(cacheItem);
+			break;
+
+		case 'delete':
+			handled = this._handleDeleteEvent(cacheItem, event);
 			break;
 		}
 
 		if (!handled) {
 			this.eventBus.emit(cacheItem.item, this.namespace + '.resource.' + rid + '.' + event, data.data);
 		}
+		this._scheduleCacheSave();
 	}
 
 	_handleChangeEvent(cacheItem, event, data) {
@@ -495,9 +1508,20 @@ class ResClient {
 		let vals = data.values;
 		for (let k in vals) {
 			v = vals[k];
+			ov = item[k];
 			if (typeof v === 'object' && v !== null) {
 				if (v.action === 'delete') {
 					vals[k] = undefined;
+				} else if (isDataValue(v)) {
+					// Keep the current value if the JSON content is unchanged
+					vals[k] = this._isResource(ov) || ov instanceof ResRef || !jsonEqual(ov, v.data)
+						? deepFreeze(v.data)
+						: ov;
+				} else if (this._isSoftRef(v)) {
+					// Reuse any existing soft reference to the same resource
+					vals[k] = ov instanceof ResRef && ov.getResourceId() === v.rid
+						? ov
+						: new ResRef(this, v.rid);
 				} else if (v.rid) {
 					ci = this.cache[v.rid];
 					vals[k] = ci.item;
@@ -511,7 +1535,6 @@ class ResClient {
 				}
 			}
 
-			ov = item[k];
 			if (this._isResource(ov)) {
 				let rid = ov.getResourceId();
 				if (rm.hasOwnProperty(rid)) {
@@ -549,8 +1572,12 @@ class ResClient {
 		let v = data.value;
 		let idx = data.idx;
 
+		if (isDataValue(v)) {
+			v = deepFreeze(v.data);
+		} else if (this._isSoftRef(v)) {
+			v = new ResRef(this, v.rid);
 		// Get resource if value is a resource reference
-		if (v !== null && typeof v === 'object' && v.rid) {
+		} else if (v !== null && typeof v === 'object' && v.rid) {
 			this._cacheResources(data);
 			let ci = this.cache[v.rid];
 			ci.addIndirect();
@@ -582,20 +1609,245 @@ class ResClient {
 		return true;
 	}
 
-	_handleUnsubscribeEvent(cacheItem, event) {
-		cacheItem.setSubscribed(false);
+	_handleUnsubscribeEvent(cacheItem, event, data) {
+		this._setSubscribed(cacheItem, false);
 		this._tryDelete(cacheItem);
-		this.eventBus.emit(cacheItem.item, this.namespace + '.resource.' + cacheItem.rid + '.' + event, { item: cacheItem.item });
+		let ev = { item: cacheItem.item };
+		if (data && data.reason) {
+			ev.reason = data.reason;
+		}
+		this.eventBus.emit(cacheItem.item, this.namespace + '.resource.' + cacheItem.rid + '.' + event, ev);
 		return true;
 	}
 
+	/**
+	 * Handles a query event by sending a query request for each cached
+	 * query resource of the resource ID, and applying the events
+	 * in the responses.
+	 * @param {string} rid Resource ID without query.
+	 * @param {object} data Query event data.
+	 * @param {string} data.subject Subject to send the query requests to.
+	 * @private
+	 */
+	_handleQueryEvent(rid, data) {
+		if (!data || !data.subject || !this.connected) {
+			return;
+		}
+
+		let prefix = rid + '?';
+		for (let qrid in this.cache) {
+			let ci = this.cache[qrid];
+			if (qrid.substr(0, prefix.length) !== prefix ||
+				!ci.item ||
+				!(ci.subscribed || ci.indirect) ||
+				(this.stale && this.stale[qrid])
+			) {
+				continue;
+			}
+
+			this._send('query', data.subject, null, { query: qrid.substr(prefix.length) })
+				.then(result => this._applyQueryEvents(ci, result && result.events))
+				.catch(() => {});
+		}
+	}
+
+	/**
+	 * Applies the events of a query response to a query resource.
+	 * @param {CacheItem} ci Cache item of the query resource.
+	 * @param {?Array.<object>} events Query response events, with event name and data.
+	 * @private
+	 */
+	_applyQueryEvents(ci, events) {
+		// The resource may have been removed while waiting for the response
+		if (!events || this.cache[ci.rid] !== ci) {
+			return;
+		}
+
+		for (let ev of events) {
+			switch (ev.event) {
+			case 'change':
+				this._handleChangeEvent(ci, ev.event, ev.data);
+				break;
+
+			case 'add':
+				this._handleAddEvent(ci, ev.event, ev.data);
+				break;
+
+			case 'remove':
+				this._handleRemoveEvent(ci, ev.event, ev.data);
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Handles a connection event, with the event name prefixed by "system.".
+	 * Unknown connection events are ignored.
+	 * @param {string} event Event name, without the "system." prefix.
+	 * @param {*} data Event data.
+	 * @private
+	 */
+	_handleSystemEvent(event, data) {
+		switch (event) {
+		case 'reset':
+			this._handleResetEvent(data || {});
+			break;
+
+		case 'token':
+			this._setToken(data && data.token !== undefined ? data.token : null);
+			break;
+
+		case 'tokenReset':
+			this._emit('tokenReset', data);
+			if (this.onTokenReset) {
+				this.onTokenReset(data, this);
+			}
+			break;
+		}
+	}
+
+	/**
+	 * Sets the connection token, emitting a token event and
+	 * calling the onTokenChange callback.
+	 * @param {*} token Connection token, or null to clear the token.
+	 * @private
+	 */
+	_setToken(token) {
+		this.token = token;
+		this._emit('token', { token });
+		if (this.onTokenChange) {
+			this.onTokenChange(token, this);
+		}
+	}
+
+	/**
+	 * Handles a system.reset event by getting all cached resources matching
+	 * the resources patterns anew, and revalidating access to all subscribed
+	 * resources matching the access patterns.
+	 * @param {object} data Reset event data.
+	 * @param {Array.<string>} [data.resources] Resource patterns of resources to get anew.
+	 * @param {Array.<string>} [data.access] Resource patterns of resources to revalidate access to.
+	 * @private
+	 */
+	_handleResetEvent(data) {
+		let resources = this._createPatternList(data.resources);
+		let access = this._createPatternList(data.access);
+
+		for (let rid in this.cache) {
+			let ci = this.cache[rid];
+			if (!ci.item || (this.stale && this.stale[rid])) {
+				continue;
+			}
+			if (access && access.getFactory(rid)) {
+				this._handleReaccessEvent(ci);
+			} else if (resources && resources.getFactory(rid) && (ci.subscribed || ci.indirect) && this.connected) {
+				this._refetch(ci).catch(() => {});
+			}
+		}
+	}
+
+	/**
+	 * Creates a TypeList used for matching resource IDs against a list of patterns.
+	 * @param {Array.<string>} [patterns] Resource patterns.
+	 * @returns {?TypeList} TypeList where getFactory returns true on match, or null if there are no patterns.
+	 * @private
+	 */
+	_createPatternList(patterns) {
+		if (!Array.isArray(patterns) || !patterns.length) {
+			return null;
+		}
+
+		let list = new TypeList(null);
+		for (let p of patterns) {
+			try {
+				list.addFactory(p, true);
+			} catch (ex) {
+				// Ignore invalid and duplicate patterns
+			}
+		}
+		return list;
+	}
+
+	/**
+	 * Handles a delete event by marking the resource as deleted.
+	 * The server no longer has the resource subscribed,
+	 * and it will not be resubscribed.
+	 * @param {CacheItem} cacheItem Cache item
+	 * @param {string} event Event name
+	 * @returns {boolean} True, as the event is always handled.
+	 * @private
+	 */
+	_handleDeleteEvent(cacheItem, event) {
+		if (cacheItem.deleted) {
+			return true;
+		}
+
+		let item = cacheItem.item;
+		this._setSubscribed(cacheItem, false);
+		cacheItem.setDeleted();
+		if (typeof item.__delete === 'function') {
+			item.__delete();
+		}
+		this._tryDelete(cacheItem);
+		this.eventBus.emit(item, this.namespace + '.resource.' + cacheItem.rid + '.' + event, { item });
+		return true;
+	}
+
+	/**
+	 * Handles a reaccess event by getting the resource anew,
+	 * validating that access to the subscribed resource is still granted.
+	 * @param {CacheItem} cacheItem Cache item
+	 * @returns {boolean} True, as the event is always handled.
+	 * @private
+	 */
+	_handleReaccessEvent(cacheItem) {
+		if (cacheItem.subscribed && this.connected) {
+			this._refetch(cacheItem)
+				.catch(err => {
+					if (err.code === 'system.accessDenied' && cacheItem.subscribed) {
+						this._handleUnsubscribeEvent(cacheItem, 'unsubscribe', {
+							reason: { code: err.code, message: err.message }
+						});
+					}
+				});
+		}
+		return true;
+	}
+
+	/**
+	 * Gets a cached resource from the server without subscribing,
+	 * synchronizing the cache with the response.
+	 * @param {CacheItem} ci Cache item
+	 * @returns {Promise} Promise of the resource being synchronized.
+	 * @private
+	 */
+	_refetch(ci) {
+		return this._send('get', ci.rid)
+			.then(response => this._cacheResources(response));
+	}
+
 	_setStale(rid) {
 		this._addStale(rid);
 		if (this.connected) {
-			setTimeout(() => this._subscribeToStale(rid), subscribeStaleDelay);
+			let ci = this.cache[rid];
+			setTimeout(() => this._subscribeToStale(rid), this._getTypeOption(ci, 'subscribeStaleDelay'));
 		}
 	}
 
+	/**
+	 * Gets a setting for a cached resource, as registered for its resource type,
+	 * or the client setting if none is registered.
+	 * @param {CacheItem} ci Cache item
+	 * @param {string} key Setting name
+	 * @returns {number} Setting value.
+	 * @private
+	 */
+	_getTypeOption(ci, key) {
+		let type = this.types[ci.type];
+		let o = type && type.options && type.options.getFactory(ci.rid);
+		return o && typeof o[key] === 'number' ? o[key] : this[key];
+	}
+
 	_addStale(rid) {
 		if (!this.stale) {
 			this.stale = {};
@@ -613,12 +1865,16 @@ class ResClient {
 		}
 	}
 
-	_subscribe(ci, throwError) {
+	_subscribe(ci, throwError, opt) {
 		let rid = ci.rid;
-		ci.setSubscribed(true);
+		this._setSubscribed(ci, true);
 		this._removeStale(rid);
-		return this._send('subscribe', rid)
-			.then(response => this._cacheResources(response))
+		return this._send('subscribe', rid, null, null, opt)
+			.then(response => {
+				this._cacheResources(response);
+				// A stale item without listeners should eventually be unsubscribed
+				ci.checkUnsubscribe();
+			})
 			.catch(err => {
 				this._handleFailedSubscribe(ci);
 				if (throwError) {
@@ -628,7 +1884,7 @@ class ResClient {
 	}
 
 	_subscribeToStale(rid) {
-		if (!this.connected || !this.stale || !this.stale[rid]) {
+		if (!this.connected || !this.stale || !this.stale[rid] || this.cache[rid].deleted) {
 			return;
 		}
 
@@ -646,78 +1902,203 @@ class ResClient {
 	}
 
 	/**
-	 * Handles the websocket onopen event
+	 * Handles the transport open event
 	 * @param {object} e Open event object
 	 * @private
 	 */
 	_handleOnopen(e) {
 		this.connected = true;
+		this._setState(connHandshaking);
 
-		Promise.resolve(this.onConnect ? this.onConnect() : null)
+		this._sendNow('version', { protocol: supportedProtocol })
+			.then(ver => {
+				let protocol = ver && typeof ver.protocol == 'string' ? ver.protocol : legacyProtocol;
+				if (Math.floor(versionToInt(protocol) / 1000000) !== Math.floor(versionToInt(supportedProtocol) / 1000000)) {
+					throw Object.assign({ data: { protocol }}, errorUnsupportedProtocol);
+				}
+				this.protocol = protocol;
+			}, err => {
+				// An invalid request error means the server does
+				// not support version requests, and uses the legacy protocol.
+				if (err.code !== 'system.invalidRequest') {
+					throw err;
+				}
+				this.protocol = legacyProtocol;
+			})
+			.then(() => this.onConnect ? this.onConnect() : null)
 			.then(() => {
+				this.reconnectAttempt = 0;
+				this._setState(connConnected);
+				this._resendRequests();
+				this._sendQueue();
+				this._releaseHydrated();
 				this._subscribeToAllStale();
 				this._emit('connect', e);
 				this._connectResolve();
 			})
 			.catch(err => {
-				if (this.ws) {
-					this.ws.close();
+				// Reconnecting won't help with an unsupported protocol
+				if (err && err.code === errorUnsupportedProtocol.code) {
+					this.tryConnect = false;
+				}
+				if (this.transport) {
+					this.transport.close();
+				}
+				if (!this.tryConnect) {
+					this._connectReject(err);
+				}
+			});
+	}
+
+	/**
+	 * Handles the transport error event
+	 * @param {object} e Error event object
+	 * @private
+	 */
+	_handleOnerror(e) {
+		this._connectReject({ code: 'system.connectionError', message: "Connection error", data: e });
+	}
+
+	/**
+	 * Handles a message received over the transport
+	 * @param {string} data Json encoded message
+	 * @private
+	 */
+	_handleOnmessage(data) {
+		if (this.metrics) {
+			this._report('increment', 'messages.in', 1);
+			this._report('increment', 'bytes.in', utf8Length(data));
+		}
+		this._receive(data);
+	}
+
+	/**
+	 * Handles the transport close event
+	 * @param {object} e Close event object
+	 * @private
+	 */
+	_handleOnclose(e) {
+		this.connectPromise = null;
+		this.transport = null;
+		this.protocol = null;
+		if (this.token !== null) {
+			this._setToken(null);
+		}
+		// No responses will arrive for dropped requests
+		this.dropped = {};
+		if (this.connected) {
+			this.connected = false;
+
+			let resending = this._rejectRequests();
+
+			// Set any subscribed item in cache to stale,
+			// unless a subscribe request is to be resent.
+			for (let rid in this.cache) {
+				let ci = this.cache[rid];
+				if (ci.subscribed && !resending[rid]) {
+					this._setSubscribed(ci, false);
+					this._addStale(rid);
+					this._tryDelete(ci);
+				}
+			}
+
+			this._emit('close', e);
+		}
+
+		let hasStale = false;
+		for (let rid in this.cache) {
+			if (!this.cache[rid].deleted) {
+				hasStale = true;
+				break;
+			}
+		}
+
+		this.tryConnect = (hasStale || this.queue.length > 0) && this.tryConnect;
+
+		if (this.tryConnect) {
+			this._reconnect(e);
+		} else {
+			this._rejectResend();
+			if (this.state !== connClosed) {
+				this._setState(connDisconnected);
+			}
+		}
+	}
+
+	/**
+	 * Rejects all pending requests with a system.disconnect error.
+	 * If resendOnReconnect is set, any subscribe or get request is instead
+	 * kept to be resent on reconnect.
+	 * @returns {Object.<string, boolean>} Resource IDs of subscribe requests to be resent.
+	 * @private
+	 */
+	_rejectRequests() {
+		let requests = this.requests;
+		let resending = {};
+		this.requests = {};
+
+		for (let id in requests) {
+			let req = requests[id];
+			this._clearRequest(req);
+
+			let i = req.method.indexOf('.');
+			let action = req.method.substr(0, i);
+			if (this.resendOnReconnect && this.tryConnect && resendActions[action]) {
+				this.resend.push(req);
+				// The request may be aborted while waiting to be resent
+				if (req.opt && req.opt.signal) {
+					req.onAbort = () => this._abortResend(req);
+					req.opt.signal.addEventListener('abort', req.onAbort);
+				}
+				if (action === 'subscribe') {
+					resending[req.method.substr(i + 1)] = true;
 				}
-			});
+			} else {
+				req.reject(this._createRequestError(req, errorDisconnect));
+			}
+		}
+
+		return resending;
 	}
 
 	/**
-	 * Handles the websocket onerror event
-	 * @param {object} e Error event object
+	 * Resends requests kept when the connection was lost.
 	 * @private
 	 */
-	_handleOnerror(e) {
-		this._connectReject({ code: 'system.connectionError', message: "Connection error", data: e });
+	_resendRequests() {
+		let resend = this.resend;
+		this.resend = [];
+		for (let req of resend) {
+			this._clearRequest(req);
+			this._sendNow(req.method, req.params, req.opt).then(req.resolve, req.reject);
+		}
 	}
 
 	/**
-	 * Handles the websocket onmessage event
-	 * @param {object} e Message event object
+	 * Rejects an aborted request kept to be resent.
+	 * @param {object} req Stored request object
 	 * @private
 	 */
-	_handleOnmessage(e) {
-		this._receive(e.data);
+	_abortResend(req) {
+		let idx = this.resend.indexOf(req);
+		if (idx === -1) {
+			return;
+		}
+		this.resend.splice(idx, 1);
+		this._clearRequest(req);
+		req.reject(this._createRequestError(req, errorAborted));
 	}
 
 	/**
-	 * Handles the websocket onclose event
-	 * @param {object} e Close event object
+	 * Rejects requests kept to be resent, as no reconnect will be made.
 	 * @private
 	 */
-	_handleOnclose(e) {
-		this.connectPromise = null;
-		this.ws = null;
-		if (this.connected) {
-			this.connected = false;
-
-			// Set any subscribed item in cache to stale
-			for (let rid in this.cache) {
-				let ci = this.cache[rid];
-				if (ci.subscribed) {
-					ci.setSubscribed(false);
-					this._addStale(rid);
-					this._tryDelete(ci);
-				}
-			}
-
-			this._emit('close', e);
-		}
-
-		let hasStale = false;
-		for (let _ in this.cache) { // eslint-disable-line no-unused-vars
-			hasStale = true;
-			break;
-		}
-
-		this.tryConnect = hasStale && this.tryConnect;
-
-		if (this.tryConnect) {
-			this._reconnect();
+	_rejectResend() {
+		let resend = this.resend;
+		this.resend = [];
+		for (let req of resend) {
+			this._clearRequest(req);
+			req.reject(this._createRequestError(req, errorDisconnect));
 		}
 	}
 
@@ -739,7 +2120,7 @@ class ResClient {
 	 */
 	_connectReject(e) {
 		this.connectPromise = null;
-		this.ws = null;
+		this.transport = null;
 
 		if (this.connectCallback) {
 			this.connectCallback.reject(e);
@@ -748,7 +2129,127 @@ class ResClient {
 	}
 
 	_emit(event, data, ctx) {
-		this.eventBus.emit(event, data, this.namespace);
+		this.eventBus.emit(this, event, data, this.namespace);
+	}
+
+	/**
+	 * Logs a received message.
+	 * @param {object} data Message data
+	 * @private
+	 */
+	_logMessage(data) {
+		if (!data.hasOwnProperty('id')) {
+			this._log({ direction: 'in', type: 'event', id: null, method: data.event || null, elapsed: null, payload: data.data });
+			return;
+		}
+
+		let req = this.requests[data.id];
+		let isError = data.hasOwnProperty('error');
+		this._log({
+			direction: 'in',
+			type: isError ? 'error' : 'response',
+			id: data.id,
+			method: req ? req.method : this.dropped[data.id] || null,
+			elapsed: req ? now() - req.start : null,
+			payload: isError ? data.error : data.result
+		});
+	}
+
+	/**
+	 * Redacts a log entry and passes it to the logger.
+	 * Params of auth requests are always redacted.
+	 * Errors thrown by the callbacks are ignored, not to affect the traffic.
+	 * @param {ResClient~logEntry} entry Log entry
+	 * @private
+	 */
+	_log(entry) {
+		if (entry.type === 'request' && entry.method.substr(0, 5) === 'auth.' && entry.payload !== undefined) {
+			entry.payload = '[redacted]';
+		}
+		try {
+			if (this.redact) {
+				entry = this.redact(entry);
+				if (!entry) {
+					return;
+				}
+			}
+			this.logger(entry);
+		} catch (ex) {}
+	}
+
+	/**
+	 * Reports a metric to the metrics reporter, if one is set.
+	 * @param {string} type Metric type. Either 'increment', 'gauge', or 'timing'.
+	 * @param {string} name Metric name.
+	 * @param {number} value Metric value.
+	 * @param {Object.<string, string>} [tags] Metric tags.
+	 * @private
+	 */
+	_report(type, name, value, tags) {
+		if (this.metrics) {
+			this.metrics[type](name, value, tags || null);
+		}
+	}
+
+	/**
+	 * Reports the latency of a request that has received a response.
+	 * @param {object} req Stored request object
+	 * @param {object} [error] Error object of an error response.
+	 * @private
+	 */
+	_reportLatency(req, error) {
+		let m = req.method;
+		let i = m.indexOf('.');
+		let action = i < 0 ? m : m.substr(0, i);
+		let tags = { action };
+		if (action === 'call' || action === 'auth') {
+			tags.method = m.substr(m.lastIndexOf('.') + 1);
+		}
+		if (error) {
+			tags.error = error.code;
+		}
+		this._report('timing', 'request.latency', now() - req.start, tags);
+	}
+
+	/**
+	 * Adds an item to the cache, reporting the cache size.
+	 * @param {CacheItem} ci Cache item
+	 * @private
+	 */
+	_addCacheItem(ci) {
+		this.cache[ci.rid] = ci;
+		this.cacheCount++;
+		this._report('gauge', 'cache.size', this.cacheCount);
+	}
+
+	/**
+	 * Sets the subscribed flag of a cache item,
+	 * reporting the number of subscriptions on change.
+	 * @param {CacheItem} ci Cache item
+	 * @param {boolean} isSubscribed Flag telling if the resource is subscribed to.
+	 * @private
+	 */
+	_setSubscribed(ci, isSubscribed) {
+		if (ci.subscribed !== isSubscribed) {
+			this.subscribedCount += isSubscribed ? 1 : -1;
+			this._report('gauge', 'subscriptions', this.subscribedCount);
+		}
+		ci.setSubscribed(isSubscribed);
+	}
+
+	/**
+	 * Sets the connection state, emitting a stateChange event on change.
+	 * @param {string} state Connection state.
+	 * @private
+	 */
+	_setState(state) {
+		let oldState = this.state;
+		if (state === oldState) {
+			return;
+		}
+
+		this.state = state;
+		this._emit('stateChange', { oldState, newState: state });
 	}
 
 	/**
@@ -764,7 +2265,10 @@ class ResClient {
 			let r = refs[rid];
 			switch (r.st) {
 			case stateStale:
-				this._setStale(rid);
+				// Deleted resources are kept only until no longer listened to
+				if (!r.ci.deleted) {
+					this._setStale(rid);
+				}
 				break;
 			case stateDelete:
 				this._deleteRef(r.ci);
@@ -902,11 +2406,68 @@ class ResClient {
 			break;
 		}
 		delete this.cache[ci.rid];
+		this.cacheCount--;
+		this._report('gauge', 'cache.size', this.cacheCount);
 		this._removeStale(ci.rid);
+		if (this.hydrated) {
+			delete this.hydrated[ci.rid];
+		}
+		this._scheduleCacheSave();
 	}
 
 	_isResource(v) {
-		return v !== null && typeof v === 'object' && typeof v.getResourceId === 'function';
+		return v !== null && typeof v === 'object' && typeof v.getResourceId === 'function' && !(v instanceof ResRef);
+	}
+
+	/**
+	 * Checks if a value is a soft resource reference value, as sent by the server.
+	 * @param {*} v Value
+	 * @returns {boolean} True if the value is a soft reference.
+	 * @private
+	 */
+	_isSoftRef(v) {
+		return v !== null && typeof v === 'object' && !!v.rid && v.soft === true;
+	}
+
+	/**
+	 * Gets the resource IDs of the cached resources directly referenced by a cached resource.
+	 * @param {CacheItem} ci Cache item
+	 * @returns {Array.<string>} Resource IDs.
+	 * @private
+	 */
+	_getReferences(ci) {
+		let rids = [];
+		if (ci.item) {
+			this._traverse(ci, c => {
+				if (rids.indexOf(c.rid) === -1) {
+					rids.push(c.rid);
+				}
+				return false;
+			}, null, true);
+		}
+		return rids;
+	}
+
+	/**
+	 * Gets the garbage collection state of a cached resource.
+	 * @param {CacheItem} ci Cache item
+	 * @returns {string} Either 'subscribed', 'keep', 'stale', or 'delete'.
+	 * @private
+	 */
+	_getGCState(ci) {
+		if (ci.subscribed) {
+			return 'subscribed';
+		}
+		if (!ci.item) {
+			return 'keep';
+		}
+		switch (this._getRefState(ci)[ci.rid].st) {
+		case stateStale:
+			return 'stale';
+		case stateDelete:
+			return 'delete';
+		}
+		return 'keep';
 	}
 
 	_getRefItem(v) {
@@ -924,6 +2485,144 @@ class ResClient {
 		return refItem;
 	}
 
+	/**
+	 * Creates a frozen snapshot of a resource from a set of resources.
+	 * Resources not included in the set are taken from the cache.
+	 * @param {string} rid Resource ID
+	 * @param {object} resources Resource sets object with models, collections, and errors.
+	 * @returns {(object|Array.<*>|ResError)} Snapshot of the resource.
+	 * @private
+	 */
+	_createSnapshot(rid, resources) {
+		let snapshots = {};
+		let getResource = rid => {
+			for (let t of resourceTypes) {
+				let set = resources[t + 's'];
+				if (set && set.hasOwnProperty(rid)) {
+					return { type: t, data: set[rid] };
+				}
+			}
+			let ci = this.cache[rid];
+			if (!ci || !ci.item) {
+				throw new Error("Resource not found: " + rid);
+			}
+			return { type: ci.type, data: this._serializeItem(ci) };
+		};
+		let getValue = v => {
+			if (v === null || typeof v !== 'object') {
+				return v;
+			}
+			if (isDataValue(v)) {
+				return deepFreeze(v.data);
+			}
+			if (this._isSoftRef(v)) {
+				return new ResRef(this, v.rid);
+			}
+			return v.rid ? getSnapshot(v.rid) : v;
+		};
+		let getSnapshot = rid => {
+			if (snapshots.hasOwnProperty(rid)) {
+				return snapshots[rid];
+			}
+
+			let r = getResource(rid);
+			let o;
+			switch (r.type) {
+			case typeModel:
+				// Store before traversing, to allow circular references
+				o = snapshots[rid] = {};
+				for (let k in r.data) {
+					o[k] = getValue(r.data[k]);
+				}
+				return Object.freeze(o);
+			case typeCollection:
+				o = snapshots[rid] = [];
+				for (let v of r.data) {
+					o.push(getValue(v));
+				}
+				return Object.freeze(o);
+			default:
+				return (snapshots[rid] = new ResError(rid).__init(r.data));
+			}
+		};
+
+		return getSnapshot(rid);
+	}
+
+	/**
+	 * Serializes cached resources, and all resources they reference,
+	 * into the resource sets used by the RES-Client protocol.
+	 * @param {Array.<string>} rids Resource IDs of cached resources.
+	 * @param {Object.<string, *>} [exclude] Key/value object of resource IDs to exclude, together with the resources only referenced through them.
+	 * @returns {object} Resource sets object with models, collections, and errors.
+	 * @private
+	 */
+	_serializeResources(rids, exclude) {
+		let resources = {};
+		let seen = {};
+		let cb = ci => {
+			if (seen[ci.rid] || (exclude && exclude.hasOwnProperty(ci.rid)) || !ci.item) {
+				return false;
+			}
+			seen[ci.rid] = true;
+			let t = ci.type + 's';
+			resources[t] = resources[t] || {};
+			resources[t][ci.rid] = this._serializeItem(ci);
+			return true;
+		};
+		for (let rid of rids) {
+			let ci = this.cache[rid];
+			if (ci) {
+				this._traverse(ci, cb);
+			}
+		}
+		return resources;
+	}
+
+	/**
+	 * Serializes the data of a cached resource, with references as resource reference objects.
+	 * @param {CacheItem} ci Cache item
+	 * @returns {*} Model data object, collection data array, or error object.
+	 * @private
+	 */
+	_serializeItem(ci) {
+		let item = ci.item, o;
+		switch (ci.type) {
+		case typeCollection:
+			return item.toArray().map(v => this._serializeValue(v));
+		case typeModel:
+			o = {};
+			for (let k in item) {
+				if (item.hasOwnProperty(k) && k.substr(0, 1) !== '_') {
+					o[k] = this._serializeValue(item[k]);
+				}
+			}
+			return o;
+		case typeError:
+			return item.data === undefined
+				? { code: item.code, message: item.message }
+				: { code: item.code, message: item.message, data: item.data };
+		}
+	}
+
+	/**
+	 * Serializes a model or collection value.
+	 * @param {*} v Value
+	 * @returns {*} Serialized value.
+	 * @private
+	 */
+	_serializeValue(v) {
+		if (v instanceof ResRef) {
+			return { rid: v.getResourceId(), soft: true };
+		}
+		if (this._isResource(v)) {
+			return { rid: v.getResourceId() };
+		}
+		return v !== null && typeof v === 'object'
+			? { data: v }
+			: v;
+	}
+
 	_cacheResources(resources) {
 		if (!resources) {
 			return;
@@ -933,6 +2632,162 @@ class ResClient {
 		resourceTypes.forEach(t => (sync[t] = this._createItems(resources[t + 's'], this.types[t])));
 		resourceTypes.forEach(t => this._initItems(resources[t + 's'], this.types[t]));
 		resourceTypes.forEach(t => this._syncItems(sync[t], this.types[t]));
+		this._scheduleCacheSave();
+		this._scheduleEvict();
+	}
+
+	/**
+	 * Schedules eviction of resources exceeding the cache limits.
+	 * Eviction is deferred to let any requested resource be listened to first.
+	 * @private
+	 */
+	_scheduleEvict() {
+		if ((!this.maxCacheSize && !this.maxSubscriptions) || this.evictTimer) {
+			return;
+		}
+		this.evictTimer = setTimeout(() => {
+			this.evictTimer = null;
+			this._evict();
+		}, 0);
+	}
+
+	/**
+	 * Evicts the least recently used resources without direct listeners,
+	 * until the cache size and number of subscriptions are within the limits.
+	 * Subscribed resources are unsubscribed, while other resources are removed
+	 * unless referenced by another resource.
+	 * @private
+	 */
+	_evict() {
+		let size = 0;
+		let subscriptions = 0;
+		let candidates = [];
+		for (let rid in this.cache) {
+			let ci = this.cache[rid];
+			if (this.evicting[rid]) {
+				continue;
+			}
+			size++;
+			if (ci.subscribed) {
+				subscriptions++;
+			}
+			if (ci.item && !ci.direct && (ci.subscribed || !ci.indirect)) {
+				candidates.push(ci);
+			}
+		}
+
+		candidates.sort((a, b) => a.lastUsed - b.lastUsed);
+		for (let ci of candidates) {
+			let overSize = this.maxCacheSize > 0 && size > this.maxCacheSize;
+			let overSubscriptions = this.maxSubscriptions > 0 && subscriptions > this.maxSubscriptions;
+			if (!overSize && !overSubscriptions) {
+				break;
+			}
+			// Only subscriptions needs to be reduced
+			if (!overSize && !ci.subscribed) {
+				continue;
+			}
+
+			// Resources referenced by others remain in the cache
+			if (!ci.indirect) {
+				size--;
+			}
+			this._emit('evict', { rid: ci.rid, item: ci.item });
+			if (ci.subscribed) {
+				subscriptions--;
+				let rid = ci.rid;
+				this.evicting[rid] = true;
+				ci.clearUnsubscribe();
+				this._unsubscribe(ci).then(() => delete this.evicting[rid]);
+			} else {
+				this._tryDelete(ci);
+			}
+		}
+	}
+
+	/**
+	 * Restores resources from the cache storage.
+	 * Resources already in the cache are not replaced.
+	 * @returns {Promise} Promise of the cache being restored.
+	 * @private
+	 */
+	_loadCache() {
+		return Promise.resolve()
+			.then(() => this.cacheStorage.load(this.namespace + '.cache'))
+			.then(resources => {
+				this.cacheLoad = null;
+				if (!resources || typeof resources !== 'object') {
+					return;
+				}
+
+				this.hydrate(resources);
+
+				// Restored resources are superseded by a live connection
+				if (this.state === connConnected) {
+					this._releaseHydrated();
+				}
+			})
+			.catch(err => {
+				this.cacheLoad = null;
+				this._emit('error', err);
+			});
+	}
+
+	/**
+	 * Sets a resource restored from the cache storage as stale,
+	 * to be resubscribed once connected.
+	 * @param {CacheItem} ci Cache item
+	 * @private
+	 */
+	_resubscribeHydrated(ci) {
+		delete this.hydrated[ci.rid];
+		this._addStale(ci.rid);
+		if (this.connected) {
+			this._subscribeToStale(ci.rid);
+		} else {
+			this.connect().catch(() => {});
+		}
+	}
+
+	/**
+	 * Removes any resource restored from the cache storage that has not been
+	 * requested, unless it is referenced by another resource.
+	 * @private
+	 */
+	_releaseHydrated() {
+		let hydrated = this.hydrated;
+		this.hydrated = null;
+		for (let rid in hydrated) {
+			let ci = this.cache[rid];
+			if (ci) {
+				this._tryDelete(ci);
+			}
+		}
+	}
+
+	/**
+	 * Schedules the cached resources to be saved to the cache storage.
+	 * @private
+	 */
+	_scheduleCacheSave() {
+		if (!this.cacheStorage || this.cacheSaveTimer) {
+			return;
+		}
+		this.cacheSaveTimer = setTimeout(() => {
+			this.cacheSaveTimer = null;
+			this._saveCache();
+		}, cacheSaveDelay);
+	}
+
+	/**
+	 * Saves all cached resources, except deleted ones, to the cache storage.
+	 * @private
+	 */
+	_saveCache() {
+		let rids = Object.keys(this.cache).filter(rid => !this.cache[rid].deleted);
+		Promise.resolve()
+			.then(() => this.cacheStorage.save(this.namespace + '.cache', this._serializeResources(rids)))
+			.catch(err => this._emit('error', err));
 	}
 
 	_createItems(refs, type) {
@@ -944,13 +2799,17 @@ class ResClient {
 		for (let rid in refs) {
 			let ci = this.cache[rid];
 			if (!ci) {
-				ci = this.cache[rid] = new CacheItem(
+				ci = new CacheItem(
 					rid,
 					this._unsubscribe
 				);
+				this._addCacheItem(ci);
 			} else {
 				// Remove item as stale if needed
 				this._removeStale(rid);
+				if (this.hydrated) {
+					delete this.hydrated[rid];
+				}
 			}
 			// If an item is already set,
 			// it has gone stale and needs to be synchronized.
@@ -964,6 +2823,9 @@ class ResClient {
 				delete refs[rid];
 			} else {
 				let f = type.getFactory(rid);
+				ci.lastUsed = ++this.useCount;
+				ci.setType(type.id);
+				ci.unsubscribeDelay = this._getTypeOption(ci, 'unsubscribeDelay');
 				ci.setItem(f(this, rid), type.id);
 			}
 		}
@@ -1005,12 +2867,35 @@ class ResClient {
 			a[i] = collection.atIndex(i);
 		}
 
-		let b = data.map(v => (
-			v != null && typeof v === 'object' && v.rid
-				// Is the value a reference, get the actual item from cache
-				? this.cache[v.rid].item
-				: v
-		));;
+		// Reuse existing soft references to the same resource,
+		// and existing data values with the same JSON content.
+		let refs = {};
+		let dataValues = [];
+		for (let v of a) {
+			if (v instanceof ResRef) {
+				let rid = v.getResourceId();
+				(refs[rid] = refs[rid] || []).push(v);
+			} else if (v !== null && typeof v === 'object' && !this._isResource(v)) {
+				dataValues.push(v);
+			}
+		}
+
+		let b = data.map(v => {
+			if (isDataValue(v)) {
+				if (v.data === null || typeof v.data !== 'object') {
+					return v.data;
+				}
+				let i = dataValues.findIndex(dv => jsonEqual(dv, v.data));
+				return i < 0 ? v : dataValues.splice(i, 1)[0];
+			}
+			return this._isSoftRef(v)
+				? (refs[v.rid] && refs[v.rid].shift()) || v
+				: v != null && typeof v === 'object' && v.rid
+					// Is the value a reference, get the actual item from cache
+					? this.cache[v.rid].item
+					: v;
+		});
+		let start = now();
 		this._patchDiff(a, b,
 			(id, m, n, idx) => {},
 			(id, n, idx) => this._handleAddEvent(cacheItem, 'add', {
@@ -1019,6 +2904,7 @@ class ResClient {
 			}),
 			(id, m, idx) => this._handleRemoveEvent(cacheItem, 'remove', { idx })
 		);
+		this._report('timing', 'patchdiff.time', now() - start);
 	}
 
 	_patchDiff(a, b, onKeep, onAdd, onRemove) {
@@ -1110,7 +2996,7 @@ class ResClient {
 
 	_unsubscribe(ci) {
 		if (!ci.subscribed) {
-			if (this.stale && this.stale[ci.rid]) {
+			if (ci.deleted || (this.stale && this.stale[ci.rid])) {
 				this._tryDelete(ci);
 			}
 			return;
@@ -1118,9 +3004,9 @@ class ResClient {
 
 		this._subscribeReferred(ci);
 
-		this._send('unsubscribe', ci.rid)
+		return this._send('unsubscribe', ci.rid)
 			.then(() => {
-				ci.setSubscribed(false);
+				this._setSubscribed(ci, false);
 				this._tryDelete(ci);
 			})
 			.catch(err => this._tryDelete(ci));
@@ -1140,29 +3026,61 @@ class ResClient {
 	}
 
 	_handleFailedSubscribe(cacheItem, err) {
-		cacheItem.setSubscribed(false);
+		this._setSubscribed(cacheItem, false);
 		this._tryDelete(cacheItem);
 	}
 
-	_reconnect() {
+	/**
+	 * Schedules a reconnect attempt using the reconnect policy.
+	 * @param {?object} e Close event of the lost connection.
+	 * @private
+	 */
+	_reconnect(e) {
+		let attempt = ++this.reconnectAttempt;
+		let delay = this.reconnectPolicy(attempt, e || null);
+		if (typeof delay !== 'number' || delay < 0) {
+			this.tryConnect = false;
+			this._rejectResend();
+			this._setState(connDisconnected);
+			return;
+		}
+
+		this._setState(connReconnecting);
+		this._emit('reconnecting', { attempt, delay });
+		this._report('increment', 'reconnects', 1);
 		setTimeout(() => {
 			if (!this.tryConnect) {
 				return;
 			}
 
-			this.connect();
-		}, reconnectDelay);
+			// A failed attempt is handled by _handleOnclose
+			this.connect().catch(() => {});
+		}, delay);
 	}
 
+	/**
+	 * Resolves a host URL to an absolute WebSocket URL.
+	 * Relative paths are resolved against the document or, if there is none,
+	 * the current location. Without either, relative paths are returned as is.
+	 * @param {string} url Host URL.
+	 * @returns {string} WebSocket URL.
+	 * @private
+	 */
 	_resolvePath(url) {
-		if (url.match(/^wss?:\/\//) || typeof document == 'undefined' || !document.createElement) {
+		if (url.match(/^wss?:\/\//)) {
 			return url;
 		}
 
-		let a = document.createElement('a');
-		a.href = url;
+		if (typeof document != 'undefined' && document.createElement) {
+			let a = document.createElement('a');
+			a.href = url;
+			url = a.href;
+		} else if (typeof location != 'undefined' && typeof URL == 'function') {
+			// No document, such as in a web worker
+			url = new URL(url, location.href).href;
+		}
 
-		return a.href.replace(/^http/, 'ws');
+		return url.replace(/^http/, 'ws');
 	}
 
 	_traverse(ci, cb, state, skipFirst = false) {
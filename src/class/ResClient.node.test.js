@@ -0,0 +1,187 @@
+/**
+ * @jest-environment node
+ */
+import ResClient from './ResClient.js';
+import LoopbackTransport from '../test/LoopbackTransport.js';
+
+class FakeWebSocket {
+	constructor(url) {
+		this.url = url;
+		this.sent = [];
+		this.closed = false;
+	}
+
+	send(json) {
+		let req = JSON.parse(json);
+		if (req.method === 'version') {
+			this.receive({ id: req.id, result: { protocol: '1.2.0' }});
+			return;
+		}
+		this.sent.push(req);
+	}
+
+	close() {
+		this.closed = true;
+		this.onclose({ type: 'close' });
+	}
+
+	open() {
+		this.onopen({ type: 'open' });
+	}
+
+	receive(data) {
+		this.onmessage({ data: JSON.stringify(data) });
+	}
+}
+
+describe("ResClient in Node", () => {
+
+	function flushPromises() {
+		return new Promise(resolve => setImmediate(resolve));
+	}
+
+	it("has no WebSocket or document globals", () => {
+		expect(typeof WebSocket).toBe('undefined');
+		expect(typeof document).toBe('undefined');
+	});
+
+	describe("resolvePath", () => {
+
+		it("keeps ws and wss urls", () => {
+			expect(new ResClient('ws://localhost:8080/ws').getHostUrl()).toBe('ws://localhost:8080/ws');
+			expect(new ResClient('wss://localhost/ws').getHostUrl()).toBe('wss://localhost/ws');
+		});
+
+		it("converts http and https urls to ws and wss", () => {
+			expect(new ResClient('http://localhost:8080/ws').getHostUrl()).toBe('ws://localhost:8080/ws');
+			expect(new ResClient('https://localhost/ws').getHostUrl()).toBe('wss://localhost/ws');
+		});
+
+		it("keeps relative paths when there is no document or location", () => {
+			expect(new ResClient('/ws').getHostUrl()).toBe('/ws');
+		});
+	});
+
+	describe("WebSocket option", () => {
+
+		it("creates the connection with the WebSocket constructor", () => {
+			let client = new ResClient('ws://localhost/ws', { WebSocket: FakeWebSocket });
+			client.connect();
+			expect(client.transport.ws).toBeInstanceOf(FakeWebSocket);
+			expect(client.transport.ws.url).toBe('ws://localhost/ws');
+		});
+
+		it("creates the connection with the wsFactory callback", () => {
+			let ws;
+			let wsFactory = jest.fn(url => (ws = new FakeWebSocket(url)));
+			let client = new ResClient('ws://localhost/ws', { wsFactory });
+			let promise = client.connect();
+			ws.open();
+
+			return promise.then(() => {
+				expect(wsFactory).toHaveBeenCalledWith('ws://localhost/ws');
+				expect(client.getState()).toBe('connected');
+			});
+		});
+
+		it("sends requests and receives responses over the provided WebSocket", () => {
+			let ws;
+			let client = new ResClient('ws://localhost/ws', { wsFactory: url => (ws = new FakeWebSocket(url)) });
+			let promise = client.get('service.model');
+			ws.open();
+
+			return flushPromises().then(() => {
+				let req = ws.sent[0];
+				expect(req.method).toBe('subscribe.service.model');
+				ws.receive({ id: req.id, result: { models: { 'service.model': { foo: "bar" }}}});
+
+				return promise.then(model => {
+					expect(model.foo).toBe("bar");
+					client.disconnect();
+					expect(ws.closed).toBe(true);
+				});
+			});
+		});
+	});
+
+	describe("transport option", () => {
+
+		let transports;
+		let client;
+
+		function transport(url, handlers) {
+			let t = new LoopbackTransport(url, handlers);
+			transports.push(t);
+			return t;
+		}
+
+		beforeEach(() => {
+			transports = [];
+			client = new ResClient('ws://localhost/ws', { transport, reconnect: { delay: 0 }});
+		});
+
+		afterEach(() => {
+			client.disconnect();
+		});
+
+		it("creates the connection with the transport factory", () => {
+			let promise = client.connect();
+			expect(transports.length).toBe(1);
+			expect(transports[0].url).toBe('ws://localhost/ws');
+			transports[0].open();
+
+			return promise.then(() => {
+				expect(client.getState()).toBe('connected');
+			});
+		});
+
+		it("sends requests and receives events over the transport", () => {
+			let promise = client.get('service.model');
+			transports[0].open();
+
+			return flushPromises().then(() => {
+				let t = transports[0];
+				let req = t.requests.shift();
+				expect(req.method).toBe('subscribe.service.model');
+				t.respond(req, { models: { 'service.model': { foo: "bar" }}});
+
+				return promise.then(model => {
+					t.event('service.model.change', { values: { foo: "baz" }});
+					expect(model.foo).toBe("baz");
+				});
+			});
+		});
+
+		it("reconnects with a new transport and resubscribes to stale resources", () => {
+			let promise = client.get('service.model');
+			transports[0].open();
+
+			return flushPromises().then(() => {
+				let t = transports[0];
+				t.respond(t.requests.shift(), { models: { 'service.model': { foo: "bar" }}});
+
+				return promise.then(model => {
+					model.on('change', () => {});
+					t.close();
+					expect(client.getState()).toBe('reconnecting');
+
+					return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+						expect(transports.length).toBe(2);
+						let t = transports[1];
+						t.open();
+
+						return flushPromises().then(() => {
+							let req = t.requests.shift();
+							expect(req).not.toBe(undefined);
+							expect(req.method).toBe('subscribe.service.model');
+							t.respond(req, { models: { 'service.model': { foo: "baz" }}});
+							return flushPromises();
+						}).then(() => {
+							expect(model.foo).toBe("baz");
+						});
+					});
+				});
+			});
+		});
+	});
+});
@@ -2,12 +2,15 @@ import { Server } from 'mock-socket';
 import ResClient from './ResClient.js';
 import ResModel from './ResModel.js';
 import ResCollection from './ResCollection.js';
+import ResRef from './ResRef.js';
+import MemoryMetricsReporter from './MemoryMetricsReporter.js';
 
 class ResServer extends Server {
 	constructor(url) {
 		super(url);
 
 		this.error = null;
+		this.protocol = null; // Protocol version to respond with. Null responds as a legacy server.
 		this.requests = [];
 		this.usedRequestIds = {};
 		this.on('message', this._onMessage.bind(this));
@@ -68,6 +71,16 @@ class ResServer extends Server {
 		}
 		this.usedRequestIds[req.id] = true;
 
+		if (req.method === 'version') {
+			this.versionRequest = req;
+			if (this.protocol) {
+				this.sendResponse(req, { protocol: this.protocol });
+			} else {
+				this.sendError(req, 'system.invalidRequest', "Invalid request");
+			}
+			return;
+		}
+
 		this.requests.push(req);
 	}
 }
@@ -145,6 +158,14 @@ describe("ResClient", () => {
 		return flushPromises();
 	}
 
+	function createStorage(data) {
+		return {
+			data: Object.assign({}, data),
+			load(key) { return this.data[key]; },
+			save(key, value) { this.data[key] = value; }
+		};
+	}
+
 	function getServerResource(rid, data, collectionFactory) {
 		let promise = client.get(rid, collectionFactory);
 
@@ -202,8 +223,73 @@ describe("ResClient", () => {
 				jest.runAllTimers();
 				expect(server.isConnected()).toBe(false);
 			});
-			jest.runOnlyPendingTimers();
-			return promise;
+			return flushRequests().then(() => promise);
+		});
+	});
+
+	describe("getState", () => {
+
+		it("is disconnected before connecting", () => {
+			expect(client.getState()).toBe('disconnected');
+		});
+
+		it("emits stateChange events while connecting", () => {
+			client.on('stateChange', cb);
+			let onConnect = jest.fn(() => {
+				expect(client.getState()).toBe('handshaking');
+			});
+			client.setOnConnect(onConnect);
+			let promise = client.connect();
+			expect(client.getState()).toBe('connecting');
+
+			return flushRequests().then(() => promise).then(() => flushRequests()).then(() => {
+				expect(onConnect.mock.calls.length).toBe(1);
+				expect(client.getState()).toBe('connected');
+				expect(cb.mock.calls.map(c => c[0])).toEqual([
+					{ oldState: 'disconnected', newState: 'connecting' },
+					{ oldState: 'connecting', newState: 'handshaking' },
+					{ oldState: 'handshaking', newState: 'connected' }
+				]);
+				expect(cb.mock.calls[0][1]).toBe(client);
+			});
+		});
+
+		it("is closed after disconnect", () => {
+			let promise = client.connect().then(() => {
+				client.disconnect();
+				expect(client.getState()).toBe('closed');
+				return flushRequests().then(() => {
+					expect(client.getState()).toBe('closed');
+				});
+			});
+			return flushRequests().then(() => promise);
+		});
+
+		it("is disconnected when connection is lost without stale resources", () => {
+			let promise = client.connect().then(() => {
+				server.close();
+				return flushRequests().then(() => {
+					expect(client.getState()).toBe('disconnected');
+				});
+			});
+			return flushRequests().then(() => promise);
+		});
+
+		it("is reconnecting when connection is lost with stale resources", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				let oldUrl = server.url;
+				server.close();
+
+				return flushRequests().then(() => {
+					expect(client.getState()).toBe('reconnecting');
+					server = new ResServer(oldUrl);
+
+					return waitAWhile().then(flushRequests).then(() => {
+						expect(client.getState()).toBe('connected');
+					});
+				});
+			});
 		});
 	});
 
@@ -594,6 +680,69 @@ describe("ResClient", () => {
 			});
 		});
 
+		it("emits unsubscribe event with reason", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('unsubscribe', cb);
+
+				server.sendEvent('service.model', 'unsubscribe', { reason: { code: 'system.accessDenied', message: "Access denied" }});
+				return flushRequests().then(() => {
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ item: model, reason: { code: 'system.accessDenied', message: "Access denied" }});
+				});
+			});
+		});
+
+		it("gets the model on reaccess event and updates it", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				model.on('reaccess', cb2);
+
+				server.sendEvent('service.model', 'reaccess');
+				return flushRequests().then(() => {
+					let req = server.getNextRequest();
+					expect(req.method).toBe('get.service.model');
+					server.sendResponse(req, { models: { 'service.model': { foo: "baz", int: 42 }}});
+					return flushRequests();
+				}).then(() => {
+					expect(model.foo).toBe("baz");
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ foo: "bar" });
+					expect(cb2.mock.calls.length).toBe(0);
+				});
+			});
+		});
+
+		it("emits unsubscribe event with reason when access is denied on reaccess", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('unsubscribe', cb);
+
+				server.sendEvent('service.model', 'reaccess');
+				return flushRequests().then(() => {
+					server.sendError(server.getNextRequest(), 'system.accessDenied', "Access denied");
+					return flushRequests();
+				}).then(() => {
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ item: model, reason: { code: 'system.accessDenied', message: "Access denied" }});
+					expect(model.foo).toBe("bar");
+				});
+			});
+		});
+
+		it("keeps the subscription when reaccess fails for other reasons than access denied", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('unsubscribe', cb);
+
+				server.sendEvent('service.model', 'reaccess');
+				return flushRequests().then(() => {
+					server.sendError(server.getNextRequest(), 'system.internalError', "Internal error");
+					return flushRequests();
+				}).then(() => {
+					expect(cb.mock.calls.length).toBe(0);
+					expect(client.cache['service.model'].subscribed).toBe(true);
+				});
+			});
+		});
+
 		it("instantly removes stale item from cache when no longer listened to", () => {
 			return getServerResource('service.model', modelResources).then(model => {
 				model.on('custom', cb);
@@ -1046,106 +1195,2206 @@ describe("ResClient", () => {
 				});
 			});
 		});
+
+		it("emits reconnecting events with exponentially increasing delays", () => {
+			client = new ResClient(server.url, { reconnect: { delay: 1000, multiplier: 2, maxDelay: 3000 }});
+			client.on('reconnecting', cb);
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb2);
+				server.close();
+
+				return flushPromises()
+					.then(() => waitAWhile(1000))
+					.then(() => waitAWhile(2000))
+					.then(() => waitAWhile(3000))
+					.then(flushRequests)
+					.then(() => {
+						client.disconnect();
+						expect(cb.mock.calls.map(c => c[0])).toEqual([
+							{ attempt: 1, delay: 1000 },
+							{ attempt: 2, delay: 2000 },
+							{ attempt: 3, delay: 3000 },
+							{ attempt: 4, delay: 3000 }
+						]);
+						expect(cb.mock.calls[0][1]).toBe(client);
+					});
+			});
+		});
+
+		it("subtracts random jitter from the reconnect delay", () => {
+			let random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+			client = new ResClient(server.url, { reconnect: { delay: 1000, jitter: 0.2 }});
+			client.on('reconnecting', cb);
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb2);
+				server.close();
+
+				return flushPromises().then(() => waitAWhile(100)).then(() => {
+					client.disconnect();
+					random.mockRestore();
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ attempt: 1, delay: 900 });
+				});
+			});
+		});
+
+		it("stops reconnecting after max attempts", () => {
+			client = new ResClient(server.url, { reconnect: { delay: 1000, maxAttempts: 2 }});
+			client.on('reconnecting', cb);
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb2);
+				server.close();
+
+				return flushPromises()
+					.then(() => waitAWhile(1000))
+					.then(() => waitAWhile(1000))
+					.then(() => waitAWhile(1000))
+					.then(() => {
+						expect(cb.mock.calls.length).toBe(2);
+						expect(client.tryConnect).toBe(false);
+					});
+			});
+		});
+
+		it("uses a custom reconnect callback with attempt and close event", () => {
+			let reconnect = jest.fn(attempt => attempt * 500);
+			client = new ResClient(server.url, { reconnect });
+			client.on('reconnecting', cb);
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb2);
+				server.close();
+
+				return flushPromises().then(() => waitAWhile(500)).then(flushRequests).then(() => {
+					client.disconnect();
+					expect(reconnect.mock.calls.length).toBe(2);
+					expect(reconnect.mock.calls[0][0]).toBe(1);
+					expect(reconnect.mock.calls[0][1]).toEqual(expect.objectContaining({ type: 'close' }));
+					expect(reconnect.mock.calls[1][0]).toBe(2);
+					expect(cb.mock.calls.map(c => c[0])).toEqual([
+						{ attempt: 1, delay: 500 },
+						{ attempt: 2, delay: 1000 }
+					]);
+				});
+			});
+		});
+
+		it("resets the reconnect attempt count after reconnecting", () => {
+			let reconnect = jest.fn(() => 1000);
+			client = new ResClient(server.url, { reconnect });
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				let oldUrl = server.url;
+				server.close();
+
+				return flushPromises().then(() => {
+					server = new ResServer(oldUrl);
+
+					return waitAWhile(1000).then(flushRequests).then(() => {
+						expect(server.isConnected()).toBe(true);
+						server.close();
+
+						return flushPromises().then(() => {
+							client.disconnect();
+							expect(reconnect.mock.calls.map(c => c[0])).toEqual([ 1, 1 ]);
+						});
+					});
+				});
+			});
+		});
 	});
 
-	describe("setOnConnect", () => {
+	describe("request timeout", () => {
 
-		it("calls the setOnConnect callback after connect", () => {
-			client.setOnConnect(cb);
-			client.connect();
-			jest.runAllTimers();
-			expect(cb.mock.calls.length).toBe(1);
+		beforeEach(() => {
+			client = new ResClient(server.url, { requestTimeout: 5000 });
 		});
 
-		it("postpones any request until setOnConnect callback resolves", () => {
-			let onConnect = jest.fn(() => client.call('service.model', 'test'));
-			client.setOnConnect(onConnect);
+		it("rejects a call with system.timeout when no response is received in time", () => {
+			let promise = client.call('service.model', 'test');
+
+			return flushRequests().then(() => {
+				expect(server.getNextRequest().method).toBe('call.service.model.test');
+				jest.advanceTimersByTime(5000);
+
+				return expect(promise).rejects.toEqual(expect.objectContaining({
+					code: 'system.timeout',
+					rid: 'service.model',
+					method: 'call.service.model.test'
+				}));
+			});
+		});
+
+		it("resolves a call when response is received in time", () => {
+			let promise = client.call('service.model', 'test');
+
+			return flushRequests().then(() => {
+				server.sendResponse(server.getNextRequest(), { foo: "bar" });
+				jest.advanceTimersByTime(5000);
+
+				return expect(promise).resolves.toEqual({ foo: "bar" });
+			});
+		});
+
+		it("uses the per request timeout over the default timeout", () => {
+			let promise = client.authenticate('service.auth', 'login', null, { timeout: 1000 });
+			let noTimeout = client.call('service.model', 'test', null, { timeout: 0 });
+
+			return flushRequests().then(() => {
+				let authReq = server.getNextRequest();
+				let callReq = server.getNextRequest();
+				jest.advanceTimersByTime(1000);
+
+				return expect(promise).rejects.toEqual(expect.objectContaining({ code: 'system.timeout' })).then(() => {
+					jest.advanceTimersByTime(10000);
+					server.sendResponse(authReq, null);
+					server.sendResponse(callReq, { foo: "bar" });
+					return expect(noTimeout).resolves.toEqual({ foo: "bar" });
+				});
+			});
+		});
+
+		it("drops a response received after the timeout", () => {
+			let promise = client.call('service.model', 'test');
+
+			return flushRequests().then(() => {
+				let req = server.getNextRequest();
+				jest.advanceTimersByTime(5000);
+
+				return expect(promise).rejects.toEqual(expect.objectContaining({ code: 'system.timeout' })).then(() => {
+					expect(() => server.sendResponse(req, { foo: "bar" })).not.toThrow();
+					expect(client.dropped).toEqual({});
+				});
+			});
+		});
 
+		it("rejects get on subscribe timeout and unsubscribes on a late subscribe response", () => {
 			let promise = client.get('service.model');
 
 			return flushRequests().then(() => {
-				expect(server.pendingRequests()).toBe(1);
-				expect(server.error).toBe(null);
 				let req = server.getNextRequest();
-				expect(req.method).toBe('call.service.model.test');
-				server.sendResponse(req, null);
+				expect(req.method).toBe('subscribe.service.model');
+				jest.advanceTimersByTime(5000);
 
-				return flushRequests().then(() => {
+				return expect(promise).rejects.toEqual(expect.objectContaining({ code: 'system.timeout' })).then(() => {
+					expect(client.cache['service.model']).toBe(undefined);
+					server.sendResponse(req, modelResources);
 
-					expect(server.error).toBe(null);
-					let req = server.getNextRequest();
-					expect(req).not.toBe(undefined);
-					expect(req.method).toBe('subscribe.service.model');
-					server.sendResponse(req, modelData);
-					jest.runOnlyPendingTimers();
-					expect(server.error).toBe(null);
-					expect(server.pendingRequests()).toBe(0);
-					return promise;
+					return flushRequests().then(() => {
+						let req = server.getNextRequest();
+						expect(req).not.toBe(undefined);
+						expect(req.method).toBe('unsubscribe.service.model');
+						expect(client.cache['service.model']).toBe(undefined);
+					});
+				});
+			});
+		});
+		it("applies the timeout of a get only to its caller", () => {
+			let timedOut = client.get('service.model', { timeout: 1000 });
+			let promise = client.get('service.model');
+
+			return flushRequests().then(() => {
+				let req = server.getNextRequest();
+				jest.advanceTimersByTime(1000);
+
+				return expect(timedOut).rejects.toEqual(expect.objectContaining({ code: 'system.timeout' })).then(() => {
+					server.sendResponse(req, modelResources);
+					return flushRequests().then(() => promise);
+				}).then(model => {
+					expect(model.foo).toBe("bar");
 				});
 			});
 		});
 	});
 
-	describe("modelType", () => {
+	describe("disconnect while requesting", () => {
 
-		it("uses the registered model type when creating a model instance", () => {
-			client.registerModelType(
-				'service.item.*',
-				(api, rid, data) => {
-					return new ResModel(api, rid, {
-						definition: {
-							id: { type: 'number' },
-							name: { type: 'string' },
-							flag: { type: 'boolean', default: true }
-						}
-					});
-				}
-			);
+		it("rejects pending call requests with system.disconnect when connection is lost", () => {
+			let promise = client.call('service.model', 'test', { foo: "bar" });
 
-			return getServerResource('service.collection', collectionResources).then(collection => {
-				expect(collection.atIndex(0).flag).toBe(true);
-				expect(collection.atIndex(1).flag).toBe(true);
-				expect(collection.atIndex(1).flag).toBe(true);
+			return flushRequests().then(() => {
+				expect(server.getNextRequest().method).toBe('call.service.model.test');
+				server.close();
+
+				return expect(promise).rejects.toEqual(expect.objectContaining({
+					code: 'system.disconnect',
+					rid: 'service.model',
+					method: 'call.service.model.test',
+					params: { foo: "bar" }
+				})).then(() => {
+					expect(client.requests).toEqual({});
+				});
 			});
 		});
 
-		// it("does not use an unregistered model type when creating a model instance", () => {
-		// 	client.registerModelType(
-		// 		'service.item.*',
-		// 		(api, rid, data) => {
-		// 			return new ResModel(api, rid, {
-		// 				definition: {
-		// 					id: { type: 'number' },
-		// 					name: { type: 'string' },
-		// 					flag: { type: 'boolean', default: true }
-		// 				}
-		// 			});
-		// 		}
-		// 	);
+		it("rejects pending get requests and removes the resource from cache when connection is lost", () => {
+			let promise = client.get('service.model');
 
-		// 	client.unregisterModelType('service.item');
+			return flushRequests().then(() => {
+				expect(server.getNextRequest().method).toBe('subscribe.service.model');
+				server.close();
 
-		// 	return getServerResource('service.collection', collectionResources).then(collection => {
-		// 		expect(collection.atIndex(0).flag).toBe(undefined);
-		// 		expect(collection.atIndex(1).flag).toBe(undefined);
-		// 		expect(collection.atIndex(1).flag).toBe(undefined);
-		// 	});
-		// });
+				return expect(promise).rejects.toEqual(expect.objectContaining({ code: 'system.disconnect' })).then(() => {
+					expect(client.cache['service.model']).toBe(undefined);
+				});
+			});
+		});
 
-		it("uses the registered collection type when creating a collection instance", () => {
-			client.registerCollectionType(
-				'service.collection',
-				(api, rid) => {
-					let c = new ResCollection(api, rid);
-					c.flag = true;
-					return c;
-				}
-			);
+		it("resends pending subscribe requests after reconnect when resendOnReconnect is set", () => {
+			client = new ResClient(server.url, { resendOnReconnect: true });
+			let promise = client.get('service.model');
+			let call = client.call('service.model', 'test');
+
+			return flushRequests().then(() => {
+				expect(server.getNextRequest().method).toBe('subscribe.service.model');
+				expect(server.getNextRequest().method).toBe('call.service.model.test');
+				let oldUrl = server.url;
+				server.close();
+
+				return expect(call).rejects.toEqual(expect.objectContaining({ code: 'system.disconnect' })).then(() => {
+					server = new ResServer(oldUrl);
+
+					return waitAWhile().then(flushRequests).then(() => {
+						let req = server.getNextRequest();
+						expect(req).not.toBe(undefined);
+						expect(req.method).toBe('subscribe.service.model');
+						expect(server.pendingRequests()).toBe(0);
+						server.sendResponse(req, modelResources);
+
+						return flushRequests().then(() => promise).then(model => {
+							expect(model.foo).toBe("bar");
+						});
+					});
+				});
+			});
+		});
+
+		it("rejects requests kept for resend on disconnect", () => {
+			client = new ResClient(server.url, { resendOnReconnect: true });
+			let promise = client.get('service.model');
+
+			return flushRequests().then(() => {
+				server.close();
+
+				return flushRequests().then(() => {
+					expect(client.getState()).toBe('reconnecting');
+					client.disconnect();
+
+					return expect(promise).rejects.toEqual(expect.objectContaining({ code: 'system.disconnect' }));
+				});
+			});
+		});
+	});
+
+	describe("abort signal", () => {
+
+		it("rejects a call with system.aborted when aborted", () => {
+			let ctrl = new AbortController();
+			let promise = client.call('service.model', 'test', null, { signal: ctrl.signal });
+
+			return flushRequests().then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.test');
+				ctrl.abort();
+
+				return expect(promise).rejects.toEqual(expect.objectContaining({
+					code: 'system.aborted',
+					rid: 'service.model'
+				})).then(() => {
+					expect(client.requests).toEqual({});
+					expect(() => server.sendResponse(req, null)).not.toThrow();
+				});
+			});
+		});
+
+		it("rejects without sending a request when already aborted", () => {
+			let ctrl = new AbortController();
+			ctrl.abort();
+			let promise = client.setModel('service.model', { foo: "baz" }, { signal: ctrl.signal });
+
+			return expect(promise).rejects.toEqual(expect.objectContaining({ code: 'system.aborted' })).then(() => {
+				return flushRequests().then(() => {
+					expect(server.pendingRequests()).toBe(0);
+				});
+			});
+		});
+
+		it("aborts the subscription of a get, removing it from cache", () => {
+			let ctrl = new AbortController();
+			let promise = client.get('service.model', { signal: ctrl.signal });
+
+			return flushRequests().then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('subscribe.service.model');
+				ctrl.abort();
+
+				return expect(promise).rejects.toEqual(expect.objectContaining({ code: 'system.aborted' })).then(() => {
+					expect(client.cache['service.model']).toBe(undefined);
+					server.sendResponse(req, modelResources);
+
+					return flushRequests().then(() => {
+						let req = server.getNextRequest();
+						expect(req).not.toBe(undefined);
+						expect(req.method).toBe('unsubscribe.service.model');
+					});
+				});
+			});
+		});
+
+		it("rejects only the aborted get when waiting for another get", () => {
+			let ctrl = new AbortController();
+			let promise = client.get('service.model');
+			let aborted = client.get('service.model', { signal: ctrl.signal });
+
+			return flushRequests().then(() => {
+				ctrl.abort();
+
+				return expect(aborted).rejects.toEqual(expect.objectContaining({ code: 'system.aborted' })).then(() => {
+					let req = server.getNextRequest();
+					expect(req.method).toBe('subscribe.service.model');
+					server.sendResponse(req, modelResources);
+
+					return flushRequests().then(() => promise).then(model => {
+						expect(model.foo).toBe("bar");
+					});
+				});
+			});
+		});
+
+		it("keeps the subscription of a get when only the first caller aborts", () => {
+			let ctrl = new AbortController();
+			let aborted = client.get('service.model', { signal: ctrl.signal });
+			let promise = client.get('service.model');
+
+			return flushRequests().then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('subscribe.service.model');
+				ctrl.abort();
+
+				return expect(aborted).rejects.toEqual(expect.objectContaining({ code: 'system.aborted' })).then(() => {
+					expect(client.cache['service.model']).not.toBe(undefined);
+					server.sendResponse(req, modelResources);
+
+					return flushRequests().then(() => promise).then(model => {
+						expect(model.foo).toBe("bar");
+						expect(server.getNextRequest()).toBe(undefined);
+					});
+				});
+			});
+		});
+
+		it("aborts the subscription of a get once every caller has aborted", () => {
+			let ctrl1 = new AbortController();
+			let ctrl2 = new AbortController();
+			let promise1 = client.get('service.model', { signal: ctrl1.signal });
+			let promise2 = client.get('service.model', { signal: ctrl2.signal });
+
+			return flushRequests().then(() => {
+				let req = server.getNextRequest();
+				ctrl1.abort();
+
+				return expect(promise1).rejects.toEqual(expect.objectContaining({ code: 'system.aborted' })).then(() => {
+					expect(client.cache['service.model']).not.toBe(undefined);
+					ctrl2.abort();
+					return expect(promise2).rejects.toEqual(expect.objectContaining({ code: 'system.aborted' }));
+				}).then(() => {
+					expect(client.cache['service.model']).toBe(undefined);
+					server.sendResponse(req, modelResources);
+
+					return flushRequests().then(() => {
+						expect(server.getNextRequest().method).toBe('unsubscribe.service.model');
+					});
+				});
+			});
+		});
+
+		it("rejects a call aborted while connecting", () => {
+			let ctrl = new AbortController();
+			// Connect to a URL without any server
+			client = new ResClient("ws://localhost:" + port++);
+			let promise = client.call('service.model', 'test', null, { signal: ctrl.signal });
+			ctrl.abort();
+
+			return expect(promise).rejects.toEqual(expect.objectContaining({
+				code: 'system.aborted',
+				rid: 'service.model'
+			}));
+		});
+
+		it("rejects a request aborted while waiting to be resent", () => {
+			let ctrl = new AbortController();
+			client = new ResClient(server.url, { resendOnReconnect: true });
+			let promise = client.get('service.model', { signal: ctrl.signal });
+
+			return flushRequests().then(() => {
+				let oldUrl = server.url;
+				server.close();
+
+				return flushRequests().then(() => {
+					expect(client.resend.length).toBe(1);
+					ctrl.abort();
+
+					return expect(promise).rejects.toEqual(expect.objectContaining({ code: 'system.aborted' })).then(() => {
+						expect(client.resend).toEqual([]);
+						expect(client.cache['service.model']).toBe(undefined);
+						server = new ResServer(oldUrl);
+						return waitAWhile().then(flushRequests);
+					}).then(() => {
+						expect(server.getNextRequest()).toBe(undefined);
+					});
+				});
+			});
+		});
+	});
+
+	describe("protocol version", () => {
+
+		it("sends a version request before calling the onConnect callback", () => {
+			let onConnect = jest.fn(() => {
+				expect(server.versionRequest).not.toBe(undefined);
+			});
+			client.setOnConnect(onConnect);
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				expect(server.versionRequest.params).toEqual({ protocol: '1.2.1' });
+				expect(onConnect).toHaveBeenCalledTimes(1);
+			});
+		});
+
+		it("gets the protocol version reported by the server", () => {
+			server.protocol = '1.2.3';
+			expect(client.getProtocolVersion()).toBe(null);
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				expect(client.getProtocolVersion()).toBe('1.2.3');
+			});
+		});
+
+		it("assumes the legacy protocol version when the server does not support version requests", () => {
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				expect(client.getProtocolVersion()).toBe('1.1.1');
+			});
+		});
+
+		it("does not emit an error event when the server does not support version requests", () => {
+			client.on('error', cb);
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(flushRequests).then(() => {
+				expect(client.getProtocolVersion()).toBe('1.1.1');
+				expect(cb).not.toHaveBeenCalled();
+			});
+		});
+
+		it("clears the protocol version when the connection is lost", () => {
+			server.protocol = '1.2.0';
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				server.close();
+				return flushRequests();
+			}).then(() => {
+				expect(client.getProtocolVersion()).toBe(null);
+			});
+		});
+
+		it("rejects the connection and stops reconnecting on unsupported major version", () => {
+			server.protocol = '2.0.0';
+			let promise = client.connect().then(() => null, err => err);
+
+			return flushRequests().then(() => promise).then(err => {
+				expect(err).toEqual(expect.objectContaining({
+					code: 'system.unsupportedProtocol',
+					data: { protocol: '2.0.0' }
+				}));
+				jest.runAllTimers();
+				expect(server.isConnected()).toBe(false);
+				expect(client.getState()).toBe('disconnected');
+				expect(client.getProtocolVersion()).toBe(null);
+			});
+		});
+
+		it("resolves the call payload with protocol version 1.2.0", () => {
+			server.protocol = '1.2.0';
+			let promise = client.call('service.model', 'test');
+
+			return flushRequests().then(() => {
+				server.sendResponse(server.getNextRequest(), { payload: { foo: "bar" }});
+				return expect(promise).resolves.toEqual({ foo: "bar" });
+			});
+		});
+
+		it("resolves the call resource response with protocol version 1.2.0", () => {
+			server.protocol = '1.2.0';
+			let promise = client.call('service.collection', 'add');
+
+			return flushRequests().then(() => {
+				server.sendResponse(server.getNextRequest(), Object.assign({ rid: 'service.model' }, modelResources));
+				return promise;
+			}).then(model => {
+				expect(model).toBeInstanceOf(ResModel);
+				expect(model.getResourceId()).toBe('service.model');
+				expect(model.foo).toBe("bar");
+			});
+		});
+
+		it("resolves a null call result with protocol version 1.2.0", () => {
+			server.protocol = '1.2.0';
+			let promise = client.call('service.model', 'test');
+
+			return flushRequests().then(() => {
+				server.sendResponse(server.getNextRequest(), null);
+				return expect(promise).resolves.toBe(null);
+			});
+		});
+
+		it("resolves the raw call result with the legacy protocol version", () => {
+			let promise = client.call('service.model', 'test');
+
+			return flushRequests().then(() => {
+				server.sendResponse(server.getNextRequest(), { payload: { foo: "bar" }});
+				return expect(promise).resolves.toEqual({ payload: { foo: "bar" }});
+			});
+		});
+	});
+
+	describe("soft references", () => {
+
+		const softModelResources = {
+			models: {
+				'service.model': { foo: "bar", ref: { rid: 'service.other', soft: true }}
+			}
+		};
+		const softCollectionResources = {
+			collections: {
+				'service.collection': [ "foo", { rid: 'service.item.10', soft: true }, { rid: 'service.item.20', soft: true }]
+			}
+		};
+
+		it("sets soft reference model values as ResRef without caching the referenced resource", () => {
+			return getServerResource('service.model', softModelResources).then(model => {
+				expect(model.ref).toBeInstanceOf(ResRef);
+				expect(model.ref.getResourceId()).toBe('service.other');
+				expect(client.cache['service.other']).toBe(undefined);
+				expect(model.toJSON()).toEqual({ foo: "bar", ref: { rid: 'service.other' }});
+			});
+		});
+
+		it("sets soft reference collection values as ResRef", () => {
+			return getServerResource('service.collection', softCollectionResources).then(collection => {
+				expect(collection.atIndex(1)).toBeInstanceOf(ResRef);
+				expect(collection.atIndex(1).getResourceId()).toBe('service.item.10');
+				expect(collection.atIndex(2).getResourceId()).toBe('service.item.20');
+				expect(client.cache['service.item.10']).toBe(undefined);
+			});
+		});
+
+		it("gets the referenced resource on ResRef.get", () => {
+			return getServerResource('service.model', softModelResources).then(model => {
+				let promise = model.ref.get();
+				return flushRequests().then(() => {
+					let req = server.getNextRequest();
+					expect(req.method).toBe('subscribe.service.other');
+					server.sendResponse(req, { models: { 'service.other': { id: 1 }}});
+					return promise;
+				});
+			}).then(other => {
+				expect(other).toBeInstanceOf(ResModel);
+				expect(other.id).toBe(1);
+			});
+		});
+
+		it("compares soft references with equals", () => {
+			return getServerResource('service.collection', softCollectionResources).then(collection => {
+				let ref = collection.atIndex(1);
+				expect(ref.equals(new ResRef(client, 'service.item.10'))).toBe(true);
+				expect(ref.equals(collection.atIndex(2))).toBe(false);
+				expect(ref.equals({ rid: 'service.item.10', soft: true })).toBe(false);
+			});
+		});
+
+		it("handles change events with soft references", () => {
+			return getServerResource('service.model', softModelResources).then(model => {
+				model.on('change', cb);
+				let ref = model.ref;
+
+				server.sendEvent('service.model', 'change', { values: { ref: { rid: 'service.item.10', soft: true }}});
+				return flushRequests().then(() => {
+					expect(model.ref.getResourceId()).toBe('service.item.10');
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ ref });
+					expect(client.cache['service.item.10']).toBe(undefined);
+				});
+			});
+		});
+
+		it("keeps the soft reference instance on change to the same resource", () => {
+			return getServerResource('service.model', softModelResources).then(model => {
+				model.on('change', cb);
+				let ref = model.ref;
+
+				server.sendEvent('service.model', 'change', { values: { foo: "baz", ref: { rid: 'service.other', soft: true }}});
+				return flushRequests().then(() => {
+					expect(model.ref).toBe(ref);
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ foo: "bar" });
+				});
+			});
+		});
+
+		it("handles add and remove events with soft references", () => {
+			return getServerResource('service.collection', softCollectionResources).then(collection => {
+				collection.on('add', cb);
+				collection.on('remove', cb2);
+
+				server.sendEvent('service.collection', 'add', { value: { rid: 'service.item.30', soft: true }, idx: 0 });
+				server.sendEvent('service.collection', 'remove', { idx: 2 });
+				return flushRequests().then(() => {
+					expect(collection.length).toBe(3);
+					expect(collection.atIndex(0)).toBeInstanceOf(ResRef);
+					expect(collection.atIndex(0).getResourceId()).toBe('service.item.30');
+					expect(cb.mock.calls[0][0]).toEqual({ item: collection.atIndex(0), idx: 0 });
+					expect(cb2.mock.calls[0][0].item.getResourceId()).toBe('service.item.10');
+					expect(client.cache['service.item.30']).toBe(undefined);
+				});
+			});
+		});
+
+		it("keeps the soft reference instances when synchronizing a collection", () => {
+			return getServerResource('service.collection', softCollectionResources).then(collection => {
+				collection.on('add', cb);
+				collection.on('remove', cb2);
+				let refs = collection.toArray();
+
+				server.send(JSON.stringify({ event: 'system.reset', data: { resources: [ 'service.collection' ] }}));
+				return flushRequests().then(() => {
+					let req = server.getNextRequest();
+					expect(req.method).toBe('get.service.collection');
+					server.sendResponse(req, softCollectionResources);
+					return flushRequests();
+				}).then(() => {
+					expect(cb.mock.calls.length).toBe(0);
+					expect(cb2.mock.calls.length).toBe(0);
+					expect(collection.toArray()).toEqual(refs);
+					expect(collection.atIndex(1)).toBe(refs[1]);
+				});
+			});
+		});
+
+		it("does not keep softly referenced resources in the cache", () => {
+			return getServerResource('service.model', softModelResources).then(model => {
+				model.on('change', cb);
+				return getServerResource('service.other', { models: { 'service.other': { id: 1 }}});
+			}).then(other => {
+				other.on('change', cb2);
+				other.off('change', cb2);
+				return waitAWhile().then(flushRequests);
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('unsubscribe.service.other');
+				expect(server.getNextRequest()).toBe(undefined);
+			});
+		});
+	});
+
+	describe("data values", () => {
+
+		const dataModelResources = {
+			models: {
+				'service.model': { foo: "bar", obj: { data: { a: 1, b: [ 2, 3 ] }}, num: { data: 42 }}
+			}
+		};
+		const dataCollectionResources = {
+			collections: {
+				'service.collection': [ "foo", { data: { a: 1 }}, { data: [ 1, 2 ] }, { data: null }]
+			}
+		};
+
+		it("sets model data values as deep-frozen JSON values", () => {
+			return getServerResource('service.model', dataModelResources).then(model => {
+				expect(model.obj).toEqual({ a: 1, b: [ 2, 3 ] });
+				expect(model.num).toBe(42);
+				expect(Object.isFrozen(model.obj)).toBe(true);
+				expect(Object.isFrozen(model.obj.b)).toBe(true);
+				expect(model.toJSON()).toEqual({ foo: "bar", obj: { a: 1, b: [ 2, 3 ] }, num: 42 });
+			});
+		});
+
+		it("sets collection data values as deep-frozen JSON values", () => {
+			return getServerResource('service.collection', dataCollectionResources).then(collection => {
+				expect(collection.toArray()).toEqual([ "foo", { a: 1 }, [ 1, 2 ], null ]);
+				expect(Object.isFrozen(collection.atIndex(1))).toBe(true);
+				expect(Object.isFrozen(collection.atIndex(2))).toBe(true);
+			});
+		});
+
+		it("emits change event when data value content changes", () => {
+			return getServerResource('service.model', dataModelResources).then(model => {
+				model.on('change', cb);
+				let obj = model.obj;
+
+				server.sendEvent('service.model', 'change', { values: { obj: { data: { a: 1, b: [ 2, 4 ] }}}});
+				return flushRequests().then(() => {
+					expect(model.obj).toEqual({ a: 1, b: [ 2, 4 ] });
+					expect(Object.isFrozen(model.obj.b)).toBe(true);
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ obj });
+				});
+			});
+		});
+
+		it("keeps the data value and emits no change event when content is unchanged", () => {
+			return getServerResource('service.model', dataModelResources).then(model => {
+				model.on('change', cb);
+				let obj = model.obj;
+
+				server.sendEvent('service.model', 'change', { values: { obj: { data: { b: [ 2, 3 ], a: 1 }}, num: { data: 42 }}});
+				return flushRequests().then(() => {
+					expect(model.obj).toBe(obj);
+					expect(cb.mock.calls.length).toBe(0);
+				});
+			});
+		});
+
+		it("handles add events with data values", () => {
+			return getServerResource('service.collection', dataCollectionResources).then(collection => {
+				collection.on('add', cb);
+
+				server.sendEvent('service.collection', 'add', { value: { data: { b: 2 }}, idx: 1 });
+				return flushRequests().then(() => {
+					expect(collection.atIndex(1)).toEqual({ b: 2 });
+					expect(Object.isFrozen(collection.atIndex(1))).toBe(true);
+					expect(cb.mock.calls[0][0]).toEqual({ item: { b: 2 }, idx: 1 });
+				});
+			});
+		});
+
+		it("keeps unchanged data values when synchronizing a collection", () => {
+			return getServerResource('service.collection', dataCollectionResources).then(collection => {
+				collection.on('add', cb);
+				collection.on('remove', cb2);
+				let list = collection.toArray();
+
+				server.send(JSON.stringify({ event: 'system.reset', data: { resources: [ 'service.collection' ] }}));
+				return flushRequests().then(() => {
+					server.sendResponse(server.getNextRequest(), { collections: {
+						'service.collection': [ "foo", { data: { a: 1 }}, { data: [ 1, 3 ] }, { data: null }]
+					}});
+					return flushRequests();
+				}).then(() => {
+					expect(collection.atIndex(1)).toBe(list[1]);
+					expect(collection.atIndex(2)).toEqual([ 1, 3 ]);
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb2.mock.calls.length).toBe(1);
+					expect(cb2.mock.calls[0][0]).toEqual({ item: list[2], idx: 2 });
+				});
+			});
+		});
+	});
+
+	describe("query resources", () => {
+
+		function getQueryCollection() {
+			return getServerResource('library.books?start=0&limit=2', {
+				models: {
+					'library.book.1': { id: 1 },
+					'library.book.2': { id: 2 }
+				},
+				collections: {
+					'library.books?start=0&limit=2': [{ rid: 'library.book.1' }, { rid: 'library.book.2' }]
+				}
+			});
+		}
+
+		it("sends a query request for each cached query resource on query event", () => {
+			return getQueryCollection().then(collection => {
+				collection.on('add', cb);
+				return getServerResource('library.books?start=2&limit=2', { collections: { 'library.books?start=2&limit=2': [] }});
+			}).then(other => {
+				other.on('add', cb2);
+				return getServerResource('library.booksother?start=0', { collections: { 'library.booksother?start=0': [] }});
+			}).then(unrelated => {
+				unrelated.on('add', cb2);
+				server.sendEvent('library.books', 'query', { subject: '_EVENT_01_' });
+				return flushRequests();
+			}).then(() => {
+				let reqs = [ server.getNextRequest(), server.getNextRequest() ];
+				expect(server.getNextRequest()).toBe(undefined);
+				expect(reqs.map(r => r.method)).toEqual([ 'query._EVENT_01_', 'query._EVENT_01_' ]);
+				expect(reqs.map(r => r.params.query).sort()).toEqual([ 'start=0&limit=2', 'start=2&limit=2' ]);
+			});
+		});
+
+		it("applies the add and remove events of the query response", () => {
+			return getQueryCollection().then(collection => {
+				collection.on('add', cb);
+				collection.on('remove', cb2);
+				server.sendEvent('library.books', 'query', { subject: '_EVENT_01_' });
+				return flushRequests().then(() => {
+					server.sendResponse(server.getNextRequest(), { events: [
+						{ event: 'remove', data: { idx: 1 }},
+						{ event: 'add', data: { value: { rid: 'library.book.3' }, idx: 0, models: { 'library.book.3': { id: 3 }}}}
+					] });
+					return flushRequests();
+				}).then(() => {
+					expect(collection.toArray().map(m => m.id)).toEqual([ 3, 1 ]);
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ item: collection.atIndex(0), idx: 0 });
+					expect(cb2.mock.calls.length).toBe(1);
+					expect(cb2.mock.calls[0][0].item.id).toBe(2);
+				});
+			});
+		});
+
+		it("applies the change events of the query response to a query model", () => {
+			return getServerResource('service.stats?year=2020', { models: { 'service.stats?year=2020': { count: 1 }}}).then(model => {
+				model.on('change', cb);
+				server.sendEvent('service.stats', 'query', { subject: '_EVENT_02_' });
+				return flushRequests().then(() => {
+					let req = server.getNextRequest();
+					expect(req.method).toBe('query._EVENT_02_');
+					expect(req.params).toEqual({ query: 'year=2020' });
+					server.sendResponse(req, { events: [{ event: 'change', data: { values: { count: 2 }}}] });
+					return flushRequests();
+				}).then(() => {
+					expect(model.count).toBe(2);
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ count: 1 });
+				});
+			});
+		});
+
+		it("ignores query events without cached query resources", () => {
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				server.sendEvent('library.books', 'query', { subject: '_EVENT_01_' });
+				return flushRequests();
+			}).then(() => {
+				expect(server.getNextRequest()).toBe(undefined);
+			});
+		});
+	});
+
+	describe("delete event", () => {
+
+		it("marks the model as deleted and emits a delete event", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('delete', cb);
+				expect(model.isDeleted()).toBe(false);
+
+				server.sendEvent('service.model', 'delete');
+				return flushRequests().then(() => {
+					expect(model.isDeleted()).toBe(true);
+					expect(model.foo).toBe("bar");
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ item: model });
+					expect(cb.mock.calls[0][1]).toBe(model);
+				});
+			});
+		});
+
+		it("marks the collection as deleted and emits a delete event", () => {
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('delete', cb);
+				expect(collection.isDeleted()).toBe(false);
+
+				server.sendEvent('service.collection', 'delete');
+				return flushRequests().then(() => {
+					expect(collection.isDeleted()).toBe(true);
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ item: collection });
+				});
+			});
+		});
+
+		it("rejects calls to a deleted resource with system.deleted", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('delete', cb);
+				server.sendEvent('service.model', 'delete');
+				return flushRequests().then(() => {
+					let setPromise = model.set({ foo: "baz" }).then(() => null, err => err);
+					let callPromise = model.call('test').then(() => null, err => err);
+					return Promise.all([ setPromise, callPromise ]);
+				}).then(([ setErr, callErr ]) => {
+					expect(setErr).toEqual(expect.objectContaining({ code: 'system.deleted', rid: 'service.model', method: 'call.service.model.set' }));
+					expect(callErr).toEqual(expect.objectContaining({ code: 'system.deleted' }));
+					return flushRequests().then(() => {
+						expect(server.getNextRequest()).toBe(undefined);
+					});
+				});
+			});
+		});
+
+		it("does not resubscribe to a deleted resource", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('delete', cb);
+				server.sendEvent('service.model', 'delete');
+				return flushRequests().then(() => waitAWhile()).then(flushRequests).then(() => {
+					expect(server.getNextRequest()).toBe(undefined);
+					expect(client.cache['service.model'].subscribed).toBe(false);
+				});
+			});
+		});
+
+		it("rejects get of a deleted resource with system.deleted", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('delete', cb);
+				server.sendEvent('service.model', 'delete');
+				return flushRequests().then(() => {
+					expect(client.stale).toBe(null);
+					return expect(client.get('service.model')).rejects.toEqual(expect.objectContaining({ code: 'system.deleted', rid: 'service.model' }));
+				}).then(flushRequests).then(() => {
+					expect(server.getNextRequest()).toBe(undefined);
+				});
+			});
+		});
+
+		it("does not reconnect for a deleted resource", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('delete', cb);
+				server.sendEvent('service.model', 'delete');
+				return flushRequests().then(() => {
+					server.close();
+					return flushRequests();
+				}).then(() => {
+					expect(client.getState()).toBe('disconnected');
+				});
+			});
+		});
+
+		it("removes the deleted resource from the cache when no longer listened to", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('delete', cb);
+				server.sendEvent('service.model', 'delete');
+				return flushRequests().then(() => {
+					model.off('delete', cb);
+					expect(client.cache['service.model']).toBe(undefined);
+					expect(server.getNextRequest()).toBe(undefined);
+				});
+			});
+		});
+	});
+
+	describe("fetch", () => {
+
+		function fetchServerResource(rid, data) {
+			let promise = client.fetch(rid);
+			return flushRequests().then(() => {
+				let req = server.getNextRequest();
+				expect(req).not.toBe(undefined);
+				expect(req.method).toBe('get.' + rid);
+				server.sendResponse(req, data);
+				return flushRequests().then(() => promise);
+			});
+		}
+
+		it("fetches a model snapshot without caching it", () => {
+			return fetchServerResource('service.model', modelResources).then(snapshot => {
+				expect(snapshot).toEqual({ foo: "bar", int: 42 });
+				expect(Object.isFrozen(snapshot)).toBe(true);
+				expect(client.cache['service.model']).toBe(undefined);
+			});
+		});
+
+		it("fetches a collection snapshot with referenced models", () => {
+			return fetchServerResource('service.collection', collectionResources).then(snapshot => {
+				expect(Array.isArray(snapshot)).toBe(true);
+				expect(Object.isFrozen(snapshot)).toBe(true);
+				expect(snapshot.length).toBe(3);
+				expect(snapshot[0]).toEqual({ id: 10, name: "Ten" });
+				expect(Object.isFrozen(snapshot[0])).toBe(true);
+				expect(client.cache['service.collection']).toBe(undefined);
+				expect(client.cache['service.item.10']).toBe(undefined);
+			});
+		});
+
+		it("fetches a snapshot with circular references", () => {
+			return fetchServerResource('service.a', { models: {
+				'service.a': { b: { rid: 'service.b' }},
+				'service.b': { a: { rid: 'service.a' }}
+			}}).then(snapshot => {
+				expect(snapshot.b.a).toBe(snapshot);
+			});
+		});
+
+		it("fetches a snapshot with soft references and data values", () => {
+			return fetchServerResource('service.model', { models: {
+				'service.model': { ref: { rid: 'service.ref', soft: true }, obj: { data: { a: [ 1 ] }}}
+			}}).then(snapshot => {
+				expect(snapshot.ref).toBeInstanceOf(ResRef);
+				expect(snapshot.ref.getResourceId()).toBe('service.ref');
+				expect(snapshot.obj).toEqual({ a: [ 1 ] });
+				expect(Object.isFrozen(snapshot.obj.a)).toBe(true);
+			});
+		});
+
+		it("uses cached resources omitted from the response", () => {
+			return getServerResource('service.item.10', { models: { 'service.item.10': { id: 10 }}}).then(item => {
+				return fetchServerResource('service.collection', { collections: {
+					'service.collection': [{ rid: 'service.item.10' }]
+				}}).then(snapshot => {
+					expect(snapshot[0]).toEqual({ id: 10 });
+					expect(snapshot[0]).not.toBe(item);
+				});
+			});
+		});
+
+		it("rejects on error response", () => {
+			let promise = client.fetch('service.model').then(() => null, err => err);
+			return flushRequests().then(() => {
+				server.sendError(server.getNextRequest(), 'system.notFound', "Not found");
+				return flushRequests().then(() => promise);
+			}).then(err => {
+				expect(err).toEqual(expect.objectContaining({ code: 'system.notFound' }));
+			});
+		});
+	});
+
+	describe("offline queue", () => {
+
+		let url;
+
+		function createOfflineClient(opt) {
+			// Connect to a URL without any server
+			url = "ws://localhost:" + port;
+			port++;
+			client = new ResClient(url, Object.assign({ offlineQueue: true }, opt));
+		}
+
+		function startServer() {
+			server.stop();
+			server = new ResServer(url);
+			// Wait for the failed connection attempt to close before reconnecting
+			return waitAWhile().then(() => waitAWhile()).then(flushRequests);
+		}
+
+		it("queues calls while disconnected and sends them once connected", () => {
+			createOfflineClient();
+			client.on('requestSuccess', cb);
+			let promise = client.call('service.model', 'method', { foo: "bar" });
+			return flushPromises().then(() => {
+				expect(client.getPendingRequests()).toEqual([{ id: 1, method: 'call.service.model.method', params: { foo: "bar" }}]);
+				return startServer();
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.method');
+				expect(req.params).toEqual({ foo: "bar" });
+				server.sendResponse(req, { zoo: "baz" });
+				return flushRequests().then(() => promise);
+			}).then(result => {
+				expect(result).toEqual({ zoo: "baz" });
+				expect(client.getPendingRequests()).toEqual([]);
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toEqual({
+					request: { id: 1, method: 'call.service.model.method', params: { foo: "bar" }},
+					result: { zoo: "baz" }
+				});
+			});
+		});
+
+		it("sends queued requests one at a time in order", () => {
+			createOfflineClient();
+			let promise1 = client.setModel('service.model', { foo: "baz" });
+			let promise2 = client.call('service.model', 'method');
+			return flushPromises().then(startServer).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.set');
+				expect(req.params).toEqual({ foo: "baz" });
+				expect(server.pendingRequests()).toBe(0);
+				server.sendResponse(req, null);
+				return flushRequests();
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.method');
+				server.sendResponse(req, null);
+				return flushRequests().then(() => Promise.all([ promise1, promise2 ]));
+			}).then(() => {
+				expect(client.getPendingRequests()).toEqual([]);
+			});
+		});
+
+		it("adds a call to the pending requests right away", () => {
+			createOfflineClient();
+			client.on('requestQueued', cb);
+			client.call('service.model', 'method', { foo: "bar" });
+			expect(client.getPendingRequests()).toEqual([{ id: 1, method: 'call.service.model.method', params: { foo: "bar" }}]);
+			return flushRequests().then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toEqual({ id: 1, method: 'call.service.model.method', params: { foo: "bar" }});
+			});
+		});
+
+		it("queues calls made while queued requests are being sent", () => {
+			createOfflineClient();
+			let promise1 = client.call('service.model', 'first');
+			let promise2 = client.call('service.model', 'second');
+			let promise3;
+			return startServer().then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.first');
+				promise3 = client.call('service.model', 'direct');
+				return flushRequests().then(() => {
+					expect(server.pendingRequests()).toBe(0);
+					server.sendResponse(req, null);
+					return flushRequests();
+				});
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.second');
+				server.sendResponse(req, null);
+				return flushRequests();
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.direct');
+				server.sendResponse(req, null);
+				return flushRequests().then(() => Promise.all([ promise1, promise2, promise3 ]));
+			}).then(() => {
+				expect(client.getPendingRequests()).toEqual([]);
+			});
+		});
+
+		it("emits requestError and continues with the next request on error", () => {
+			createOfflineClient();
+			client.on('requestError', cb);
+			let promise1 = client.call('service.model', 'first').then(() => null, err => err);
+			let promise2 = client.call('service.model', 'second');
+			return flushPromises().then(startServer).then(() => {
+				server.sendError(server.getNextRequest(), 'system.accessDenied', "Access denied");
+				return flushRequests();
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.second');
+				server.sendResponse(req, null);
+				return flushRequests().then(() => Promise.all([ promise1, promise2 ]));
+			}).then(([ err ]) => {
+				expect(err).toEqual(expect.objectContaining({ code: 'system.accessDenied' }));
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0].request.method).toBe('call.service.model.first');
+				expect(cb.mock.calls[0][0].error).toBe(err);
+			});
+		});
+
+		it("rejects and removes an aborted queued request", () => {
+			createOfflineClient();
+			let ctrl = new AbortController();
+			let promise = client.call('service.model', 'method', null, { signal: ctrl.signal }).then(() => null, err => err);
+			return flushPromises().then(() => {
+				expect(client.getPendingRequests().length).toBe(1);
+				ctrl.abort();
+				return promise;
+			}).then(err => {
+				expect(err).toEqual(expect.objectContaining({ code: 'system.aborted' }));
+				expect(client.getPendingRequests()).toEqual([]);
+				return waitAWhile();
+			}).then(() => {
+				expect(client.getState()).toBe('disconnected');
+			});
+		});
+
+		it("persists queued requests to the offline storage", () => {
+			let storage = createStorage();
+			createOfflineClient({ offlineStorage: storage });
+			let promise = client.call('service.model', 'method', { foo: "bar" });
+			return flushPromises().then(() => {
+				expect(storage.data['resclient.queue']).toEqual([{ id: 1, method: 'call.service.model.method', params: { foo: "bar" }}]);
+				return startServer();
+			}).then(() => {
+				server.sendResponse(server.getNextRequest(), null);
+				return flushRequests().then(() => promise);
+			}).then(() => {
+				expect(storage.data['resclient.queue']).toEqual([]);
+			});
+		});
+
+		it("emits an error event on failure to save the offline queue", () => {
+			let storage = createStorage();
+			let err = new Error("Quota exceeded");
+			storage.save = () => { throw err; };
+			createOfflineClient({ offlineStorage: storage });
+			client.on('error', cb);
+			client.call('service.model', 'method');
+			return flushRequests().then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toBe(err);
+			});
+		});
+
+		it("emits an error event on failure to load the offline queue", () => {
+			let storage = createStorage();
+			let err = new Error("Storage unavailable");
+			storage.load = () => { throw err; };
+			createOfflineClient({ offlineStorage: storage });
+			client.on('error', cb);
+			return flushRequests().then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toBe(err);
+			});
+		});
+
+		it("assigns a new queue ID to a restored request with an ID already in use", () => {
+			let storage = createStorage({ 'resclient.queue': [{ id: 1, method: 'call.service.model.set', params: { foo: "baz" }}] });
+			createOfflineClient({ offlineStorage: storage });
+			client.call('service.model', 'method');
+			return flushPromises().then(() => {
+				expect(client.getPendingRequests()).toEqual([
+					{ id: 2, method: 'call.service.model.set', params: { foo: "baz" }},
+					{ id: 1, method: 'call.service.model.method' }
+				]);
+				expect(storage.data['resclient.queue']).toEqual(client.getPendingRequests());
+			});
+		});
+
+		it("sends requests restored from the offline storage before new requests", () => {
+			let storage = createStorage({ 'resclient.queue': [{ id: 7, method: 'call.service.model.set', params: { foo: "baz" }}] });
+			createOfflineClient({ offlineStorage: storage });
+			client.on('requestSuccess', cb);
+			let promise = client.call('service.model', 'method');
+			return flushPromises().then(() => {
+				expect(client.getPendingRequests()).toEqual([
+					{ id: 7, method: 'call.service.model.set', params: { foo: "baz" }},
+					{ id: 1, method: 'call.service.model.method' }
+				]);
+				return startServer();
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.set');
+				server.sendResponse(req, null);
+				return flushRequests();
+			}).then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0].request.id).toBe(7);
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.method');
+				server.sendResponse(req, null);
+				return flushRequests().then(() => promise);
+			});
+		});
+
+		it("sends calls made by the onConnect callback before the queued requests", () => {
+			let storage = createStorage({ 'resclient.queue': [{ id: 1, method: 'call.service.model.set', params: { foo: "baz" }}] });
+			createOfflineClient({
+				offlineStorage: storage,
+				onConnect: () => client.call('service.session', 'init')
+			});
+			return flushPromises().then(() => {
+				client.connect().catch(() => {});
+				return startServer();
+			}).then(() => {
+				expect(client.getState()).toBe('handshaking');
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.session.init');
+				server.sendResponse(req, null);
+				return flushRequests();
+			}).then(() => {
+				expect(client.getState()).toBe('connected');
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.set');
+				server.sendResponse(req, null);
+				return flushRequests();
+			}).then(() => {
+				expect(client.getPendingRequests()).toEqual([]);
+			});
+		});
+	});
+
+	describe("cache storage", () => {
+
+		const storedResources = {
+			models: {
+				'service.model': { foo: "bar", int: 42, ref: { rid: 'service.ref' }},
+				'service.ref': { id: 1 },
+				'service.other': { id: 2 }
+			},
+			collections: {
+				'service.collection': [ "foo", { rid: 'service.ref' }]
+			}
+		};
+
+		function createCacheClient(data) {
+			let storage = createStorage(data && { 'resclient.cache': JSON.parse(JSON.stringify(data)) });
+			client = new ResClient(server.url, { cacheStorage: storage });
+			return storage;
+		}
+
+		it("saves cached resources to the cache storage", () => {
+			let storage = createCacheClient();
+			// Wait for the empty cache storage to be loaded
+			return flushPromises().then(() => getServerResource('service.model', modelResources)).then(model => {
+				model.on('change', cb);
+				return waitAWhile();
+			}).then(() => {
+				expect(storage.data['resclient.cache']).toEqual({ models: { 'service.model': { foo: "bar", int: 42 }}});
+				server.sendEvent('service.model', 'change', { values: { foo: "baz", obj: { data: { a: 1 }}}});
+				return flushRequests().then(() => waitAWhile());
+			}).then(() => {
+				expect(storage.data['resclient.cache']).toEqual({ models: { 'service.model': { foo: "baz", int: 42, obj: { data: { a: 1 }}}}});
+			});
+		});
+
+		it("emits an error event on failure to save the cache", () => {
+			let storage = createCacheClient();
+			let err = new Error("Quota exceeded");
+			storage.save = () => { throw err; };
+			server.protocol = '1.2.0';
+			client.on('error', cb);
+			return flushPromises().then(() => getServerResource('service.model', modelResources)).then(model => {
+				model.on('change', () => {});
+				return waitAWhile().then(flushRequests);
+			}).then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toBe(err);
+			});
+		});
+
+		it("emits an error event on failure to load the cache", () => {
+			let storage = createStorage();
+			let err = new Error("Storage unavailable");
+			storage.load = () => { throw err; };
+			client = new ResClient(server.url, { cacheStorage: storage });
+			client.on('error', cb);
+			return flushRequests().then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toBe(err);
+			});
+		});
+
+		it("restores a stored model before the subscription is made", () => {
+			createCacheClient(storedResources);
+			return client.get('service.model').then(model => {
+				expect(model).toBeInstanceOf(ResModel);
+				expect(model.foo).toBe("bar");
+				expect(model.ref.id).toBe(1);
+				expect(server.pendingRequests()).toBe(0);
+			});
+		});
+
+		it("restores a stored collection with references", () => {
+			createCacheClient(storedResources);
+			return client.get('service.collection').then(collection => {
+				expect(collection).toBeInstanceOf(ResCollection);
+				expect(collection.atIndex(0)).toBe("foo");
+				expect(collection.atIndex(1)).toBe(client.cache['service.ref'].item);
+			});
+		});
+
+		it("synchronizes a restored model once subscribed", () => {
+			createCacheClient(storedResources);
+			return client.get('service.model').then(model => {
+				model.on('change', cb);
+				return flushRequests().then(() => {
+					let req = server.getNextRequest();
+					expect(req.method).toBe('subscribe.service.model');
+					server.sendResponse(req, { models: {
+						'service.model': { foo: "baz", int: 42, ref: { rid: 'service.ref' }},
+						'service.ref': { id: 1 }
+					}});
+					return flushRequests();
+				}).then(() => {
+					expect(model.foo).toBe("baz");
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ foo: "bar" });
+					expect(client.cache['service.model'].subscribed).toBe(true);
+				});
+			});
+		});
+
+		it("removes restored resources not requested once connected", () => {
+			createCacheClient(storedResources);
+			return client.get('service.model').then(() => flushRequests()).then(() => {
+				expect(client.cache['service.model']).not.toBe(undefined);
+				expect(client.cache['service.ref']).not.toBe(undefined);
+				expect(client.cache['service.other']).toBe(undefined);
+				expect(client.cache['service.collection']).toBe(undefined);
+			});
+		});
+
+		it("unsubscribes a restored model without listeners", () => {
+			createCacheClient(storedResources);
+			return client.get('service.model').then(() => flushRequests()).then(() => {
+				server.sendResponse(server.getNextRequest(), { models: {
+					'service.model': { foo: "bar", int: 42, ref: { rid: 'service.ref' }},
+					'service.ref': { id: 1 }
+				}});
+				return flushRequests().then(() => waitAWhile()).then(flushRequests);
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('unsubscribe.service.model');
+			});
+		});
+	});
+
+	describe("snapshot", () => {
+
+		it("gets a snapshot of all cached resources", () => {
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('add', cb);
+				let snapshot = client.getSnapshot();
+				expect(snapshot).toEqual(collectionResources);
+				expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+			});
+		});
+
+		it("gets a snapshot of the given resources and the resources they reference", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				return getServerResource('service.collection', collectionResources);
+			}).then(collection => {
+				collection.on('add', cb);
+				expect(client.getSnapshot([ 'service.collection' ])).toEqual(collectionResources);
+				expect(client.getSnapshot([ 'service.model' ])).toEqual(modelResources);
+			});
+		});
+
+		it("hydrates resources that are resolved without a request", () => {
+			client.hydrate(collectionResources);
+			return client.get('service.collection').then(collection => {
+				expect(collection).toBeInstanceOf(ResCollection);
+				expect(collection.length).toBe(3);
+				expect(collection.atIndex(0)).toBeInstanceOf(ResModel);
+				expect(collection.atIndex(0).name).toBe("Ten");
+				expect(server.pendingRequests()).toBe(0);
+			});
+		});
+
+		it("hydrates resources using the registered model type", () => {
+			client.registerModelType('service.item.*', (api, rid) => new ResModel(api, rid, {
+				definition: {
+					id: { type: 'number' },
+					flag: { type: 'boolean', default: true }
+				}
+			}));
+			client.hydrate(collectionResources);
+			return client.get('service.collection').then(collection => {
+				expect(collection.atIndex(0).flag).toBe(true);
+			});
+		});
+
+		it("subscribes to a hydrated resource once requested and synchronizes it", () => {
+			client.hydrate(modelResources);
+			expect(server.isConnected()).toBe(false);
+			return client.get('service.model').then(model => {
+				model.on('change', cb);
+				return flushRequests().then(() => {
+					let req = server.getNextRequest();
+					expect(req.method).toBe('subscribe.service.model');
+					server.sendResponse(req, { models: { 'service.model': { foo: "baz", int: 42 }}});
+					return flushRequests();
+				}).then(() => {
+					expect(model.foo).toBe("baz");
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ foo: "bar" });
+				});
+			});
+		});
+
+		it("does not replace cached resources when hydrating", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				client.hydrate({ models: { 'service.model': { foo: "baz" }}});
+				expect(client.cache['service.model'].item).toBe(model);
+				expect(model.foo).toBe("bar");
+				expect(cb.mock.calls.length).toBe(0);
+			});
+		});
+	});
+
+	describe("cache introspection", () => {
+
+		it("inspects a cached collection and its models", () => {
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('add', cb);
+				let info = client.inspectCache();
+				expect(Object.keys(info).sort()).toEqual([ 'service.collection', 'service.item.10', 'service.item.20', 'service.item.30' ]);
+				expect(info['service.collection']).toEqual({
+					rid: 'service.collection',
+					type: 'collection',
+					subscribed: true,
+					stale: false,
+					deleted: false,
+					direct: 1,
+					indirect: 0,
+					unsubscribePending: false,
+					references: [ 'service.item.10', 'service.item.20', 'service.item.30' ],
+					referencedBy: []
+				});
+				expect(info['service.item.10']).toEqual({
+					rid: 'service.item.10',
+					type: 'model',
+					subscribed: false,
+					stale: false,
+					deleted: false,
+					direct: 0,
+					indirect: 1,
+					unsubscribePending: false,
+					references: [],
+					referencedBy: [ 'service.collection' ]
+				});
+			});
+		});
+
+		it("inspects a pending unsubscribe", () => {
+			return getServerResource('service.model', modelResources).then(() => {
+				expect(client.inspectCache()['service.model'].unsubscribePending).toBe(true);
+			});
+		});
+
+		it("inspects a stale model", () => {
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('remove', cb);
+				collection.atIndex(0).on('change', cb2);
+				server.sendEvent('service.collection', 'remove', { idx: 0 });
+				return flushRequests();
+			}).then(() => {
+				let info = client.inspectCache()['service.item.10'];
+				expect(info.stale).toBe(true);
+				expect(info.referencedBy).toEqual([]);
+				expect(client.getReferenceGraph().nodes).toContainEqual({ rid: 'service.item.10', type: 'model', state: 'stale' });
+			});
+		});
+
+		it("gets the reference graph as JSON", () => {
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('add', cb);
+				expect(client.getReferenceGraph()).toEqual({
+					nodes: [
+						{ rid: 'service.collection', type: 'collection', state: 'subscribed' },
+						{ rid: 'service.item.10', type: 'model', state: 'keep' },
+						{ rid: 'service.item.20', type: 'model', state: 'keep' },
+						{ rid: 'service.item.30', type: 'model', state: 'keep' }
+					],
+					edges: [
+						{ from: 'service.collection', to: 'service.item.10' },
+						{ from: 'service.collection', to: 'service.item.20' },
+						{ from: 'service.collection', to: 'service.item.30' }
+					]
+				});
+			});
+		});
+
+		it("gets the reference graph in DOT format", () => {
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('add', cb);
+				let dot = client.getReferenceGraph('dot');
+				expect(dot.split('\n')[0]).toBe('digraph resclient {');
+				expect(dot).toContain('\t"service.collection" [label="service.collection (collection)", style=bold];');
+				expect(dot).toContain('\t"service.item.10" [label="service.item.10 (model)", style=solid];');
+				expect(dot).toContain('\t"service.collection" -> "service.item.10";');
+				expect(dot.substr(-1)).toBe('}');
+			});
+		});
+
+		it("throws on unknown graph format", () => {
+			expect(() => client.getReferenceGraph('svg')).toThrow();
+		});
+	});
+
+	describe("cache limits", () => {
+
+		function getModel(rid) {
+			return getServerResource(rid, { models: { [rid]: { id: rid }}});
+		}
+
+		function expectUnsubscribe(rid) {
+			let req = server.getNextRequest();
+			expect(req).not.toBe(undefined);
+			expect(req.method).toBe('unsubscribe.' + rid);
+			server.sendResponse(req, null);
+			return flushRequests();
+		}
+
+		it("unsubscribes the least recently used resource when exceeding maxSubscriptions", () => {
+			client = new ResClient(server.url, { maxSubscriptions: 1 });
+			client.on('evict', cb);
+			return getModel('service.a').then(a => {
+				return getModel('service.b').then(() => flushRequests()).then(() => {
+					expect(cb.mock.calls.length).toBe(1);
+					expect(cb.mock.calls[0][0]).toEqual({ rid: 'service.a', item: a });
+					return expectUnsubscribe('service.a');
+				});
+			}).then(() => {
+				expect(client.cache['service.a']).toBe(undefined);
+				expect(client.cache['service.b'].subscribed).toBe(true);
+				expect(server.pendingRequests()).toBe(0);
+			});
+		});
+
+		it("does not evict resources with direct listeners", () => {
+			client = new ResClient(server.url, { maxSubscriptions: 1 });
+			return getModel('service.a').then(a => {
+				a.on('change', cb);
+				return getModel('service.b');
+			}).then(() => flushRequests()).then(() => {
+				return expectUnsubscribe('service.b');
+			}).then(() => {
+				expect(client.cache['service.a'].subscribed).toBe(true);
+				expect(client.cache['service.b']).toBe(undefined);
+			});
+		});
+
+		it("evicts the least recently used resource when exceeding maxCacheSize", () => {
+			client = new ResClient(server.url, { maxCacheSize: 2 });
+			return getModel('service.a')
+				.then(() => getModel('service.b'))
+				// Using service.a makes service.b the least recently used
+				.then(() => client.get('service.a'))
+				.then(() => getModel('service.c'))
+				.then(() => flushRequests())
+				.then(() => expectUnsubscribe('service.b'))
+				.then(() => {
+					expect(Object.keys(client.cache).sort()).toEqual([ 'service.a', 'service.c' ]);
+					expect(server.pendingRequests()).toBe(0);
+				});
+		});
+
+		it("does not evict resources referenced by a listened resource", () => {
+			client = new ResClient(server.url, { maxCacheSize: 2 });
+			client.on('evict', cb);
+			let promise = client.get('service.collection').then(collection => collection.on('add', cb2));
+			return flushRequests().then(() => {
+				server.sendResponse(server.getNextRequest(), collectionResources);
+				// Let the collection be listened to before any eviction
+				return flushPromises().then(() => promise);
+			}).then(() => flushRequests()).then(() => {
+				expect(cb.mock.calls.length).toBe(0);
+				expect(Object.keys(client.cache).length).toBe(4);
+				expect(server.pendingRequests()).toBe(0);
+			});
+		});
+	});
+
+	describe("metrics", () => {
+
+		let metrics;
+
+		beforeEach(() => {
+			metrics = new MemoryMetricsReporter();
+			client = new ResClient(server.url, { metrics });
+		});
+
+		it("reports message counts, request latency, and cache size", () => {
+			server.protocol = '1.2.0';
+			return getServerResource('service.model', modelResources).then(() => {
+				let m = metrics.getMetrics();
+				expect(m.counters['messages.out']).toBe(2);
+				expect(m.counters['messages.in']).toBe(2);
+				expect(m.counters['bytes.out']).toBeGreaterThan(0);
+				expect(m.counters['bytes.in']).toBeGreaterThan(0);
+				expect(m.timings['request.latency{action=version}'].count).toBe(1);
+				expect(m.timings['request.latency{action=subscribe}'].count).toBe(1);
+				expect(m.timings['request.latency{action=subscribe}'].min).toBeGreaterThanOrEqual(0);
+				expect(m.gauges['cache.size']).toBe(1);
+				expect(m.gauges['subscriptions']).toBe(1);
+			});
+		});
+
+		it("reports cache size and subscriptions only when changed", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				metrics.reset();
+				server.sendEvent('service.model', 'change', { values: { foo: "baz" }});
+				return flushRequests().then(() => {
+					expect(metrics.getMetrics().gauges).toEqual({});
+					model.off('change', cb);
+					return waitAWhile().then(flushRequests);
+				});
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('unsubscribe.service.model');
+				server.sendResponse(req, null);
+				return flushRequests();
+			}).then(() => {
+				expect(metrics.getMetrics().gauges).toEqual({ 'cache.size': 0, subscriptions: 0 });
+			});
+		});
+
+		it("reports the UTF-8 encoded size of sent messages", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				metrics.reset();
+				model.call('test', { s: "å€😀" });
+				return flushRequests();
+			}).then(() => {
+				let req = server.getNextRequest();
+				// å, €, and 😀 are 1, 1, and 2 characters, but 2, 3, and 4 bytes
+				expect(metrics.getMetrics().counters['bytes.out']).toBe(JSON.stringify(req).length + 5);
+			});
+		});
+
+		it("reports latency of failed calls tagged with method and error code", () => {
+			let promise = client.call('service.model', 'test').then(() => null, err => err);
+			return flushRequests().then(() => {
+				server.sendError(server.getNextRequest(), 'system.notFound', "Not found");
+				return flushRequests().then(() => promise);
+			}).then(() => {
+				expect(metrics.getMetrics().timings['request.latency{action=call,error=system.notFound,method=test}'].count).toBe(1);
+			});
+		});
+
+		it("reports reconnect attempts", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				server.close();
+				return flushPromises();
+			}).then(() => {
+				let m = metrics.getMetrics();
+				expect(m.counters['reconnects']).toBe(1);
+				expect(m.gauges['subscriptions']).toBe(0);
+			});
+		});
+
+		it("reports time spent diffing a stale collection", () => {
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('add', cb);
+				let oldUrl = server.url;
+				server.close();
+				return flushPromises().then(() => {
+					server = new ResServer(oldUrl);
+					return waitAWhile().then(flushRequests);
+				});
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('subscribe.service.collection');
+				server.sendResponse(req, collectionResources);
+				return flushRequests();
+			}).then(() => {
+				expect(metrics.getMetrics().timings['patchdiff.time'].count).toBe(1);
+			});
+		});
+	});
+
+	describe("traffic logger", () => {
+
+		let logger;
+
+		beforeEach(() => {
+			logger = jest.fn();
+			client = new ResClient(server.url, { logger });
+		});
+
+		function loggedEntries(type) {
+			return logger.mock.calls.map(c => c[0]).filter(e => e.type === type && e.method !== 'version');
+		}
+
+		it("logs sent requests and received responses", () => {
+			return getServerResource('service.model', modelResources).then(() => {
+				let [ req ] = loggedEntries('request');
+				expect(req).toEqual({ direction: 'out', type: 'request', id: req.id, method: 'subscribe.service.model', elapsed: null, payload: undefined });
+				let [ res ] = loggedEntries('response');
+				expect(res).toEqual({ direction: 'in', type: 'response', id: req.id, method: 'subscribe.service.model', elapsed: expect.any(Number), payload: modelResources });
+				expect(res.elapsed).toBeGreaterThanOrEqual(0);
+			});
+		});
+
+		it("logs error responses", () => {
+			let promise = client.call('service.model', 'test', { foo: "bar" }).then(() => null, err => err);
+			return flushRequests().then(() => {
+				server.sendError(server.getNextRequest(), 'system.notFound', "Not found");
+				return flushRequests().then(() => promise);
+			}).then(() => {
+				expect(loggedEntries('request')[0].payload).toEqual({ foo: "bar" });
+				expect(loggedEntries('error')[0]).toEqual(expect.objectContaining({
+					direction: 'in',
+					method: 'call.service.model.test',
+					payload: { code: 'system.notFound', message: "Not found" }
+				}));
+			});
+		});
+
+		it("logs received events", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				server.sendEvent('service.model', 'change', { values: { foo: "baz" }});
+				return flushRequests();
+			}).then(() => {
+				expect(loggedEntries('event')).toEqual([{
+					direction: 'in',
+					type: 'event',
+					id: null,
+					method: 'service.model.change',
+					elapsed: null,
+					payload: { values: { foo: "baz" }}
+				}]);
+			});
+		});
+
+		it("redacts auth params", () => {
+			client.authenticate('service.auth', 'login', { password: "secret" });
+			return flushRequests().then(() => {
+				let req = server.getNextRequest();
+				expect(req.params).toEqual({ password: "secret" });
+				expect(loggedEntries('request')[0].payload).toBe('[redacted]');
+			});
+		});
+
+		it("ignores errors thrown by the logger", () => {
+			client = new ResClient(server.url, {
+				logger: () => { throw new Error("Logger error"); },
+				redact: entry => entry
+			});
+			return getServerResource('service.model', modelResources).then(model => {
+				expect(client.getState()).toBe('connected');
+				expect(model.foo).toBe("bar");
+			});
+		});
+
+		it("passes log entries through the redact callback", () => {
+			client = new ResClient(server.url, {
+				logger,
+				redact: entry => {
+					if (entry.type === 'event') {
+						return null;
+					}
+					if (entry.payload && entry.payload.foo) {
+						entry.payload.foo = '***';
+					}
+					return entry;
+				}
+			});
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				server.sendEvent('service.model', 'change', { values: { foo: "baz" }});
+				return flushRequests().then(() => {
+					expect(model.foo).toBe("baz");
+					expect(loggedEntries('event')).toEqual([]);
+					model.call('test', { foo: "bar" });
+					return flushRequests();
+				});
+			}).then(() => {
+				expect(server.getNextRequest().params).toEqual({ foo: "bar" });
+				expect(loggedEntries('request')[1].payload).toEqual({ foo: '***' });
+			});
+		});
+	});
+
+	describe("connection events", () => {
+
+		function sendSystemEvent(event, data) {
+			server.send(JSON.stringify({ event: 'system.' + event, data }));
+		}
+
+		it("gets and synchronizes resources matching the system.reset resources patterns", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				return getServerResource('other.model', { models: { 'other.model': { foo: "bar" }}});
+			}).then(other => {
+				other.on('change', cb2);
+				sendSystemEvent('reset', { resources: [ 'service.*' ] });
+				return flushRequests();
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('get.service.model');
+				expect(server.getNextRequest()).toBe(undefined);
+				server.sendResponse(req, { models: { 'service.model': { foo: "baz", int: 42 }}});
+				return flushRequests();
+			}).then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toEqual({ foo: "bar" });
+				expect(cb2.mock.calls.length).toBe(0);
+			});
+		});
+
+		it("gets resources referenced by subscribed resources matching the system.reset resources patterns", () => {
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('add', cb);
+				sendSystemEvent('reset', { resources: [ 'service.item.>' ] });
+				return flushRequests();
+			}).then(() => {
+				let methods = [];
+				let req;
+				while ((req = server.getNextRequest())) {
+					methods.push(req.method);
+				}
+				expect(methods.sort()).toEqual([ 'get.service.item.10', 'get.service.item.20', 'get.service.item.30' ]);
+			});
+		});
+
+		it("revalidates access to resources matching the system.reset access patterns", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('unsubscribe', cb);
+				sendSystemEvent('reset', { access: [ 'service.model' ] });
+				return flushRequests();
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req.method).toBe('get.service.model');
+				server.sendError(req, 'system.accessDenied', "Access denied");
+				return flushRequests();
+			}).then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0].reason).toEqual({ code: 'system.accessDenied', message: "Access denied" });
+			});
+		});
+
+		it("ignores invalid system.reset patterns", () => {
+			return getServerResource('service.model', modelResources).then(model => {
+				model.on('change', cb);
+				sendSystemEvent('reset', { resources: [ 'service..model', 'service.model', 'service.model' ] });
+				return flushRequests();
+			}).then(() => {
+				expect(server.getNextRequest().method).toBe('get.service.model');
+				expect(server.getNextRequest()).toBe(undefined);
+			});
+		});
+
+		it("emits a tokenReset event and calls the onTokenReset callback on system.tokenReset", () => {
+			let onTokenReset = jest.fn();
+			client.setOnTokenReset(onTokenReset);
+			client.on('tokenReset', cb);
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				sendSystemEvent('tokenReset', { tids: [ 'foo' ], subject: 'auth.service.refresh' });
+				return flushRequests();
+			}).then(() => {
+				expect(onTokenReset).toHaveBeenCalledTimes(1);
+				expect(onTokenReset).toHaveBeenCalledWith({ tids: [ 'foo' ], subject: 'auth.service.refresh' }, client);
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toEqual({ tids: [ 'foo' ], subject: 'auth.service.refresh' });
+			});
+		});
+
+		it("sets the token, emits a token event, and calls the onTokenChange callback on system.token", () => {
+			let onTokenChange = jest.fn();
+			client = new ResClient(server.url, { onTokenChange });
+			client.on('token', cb);
+			expect(client.getToken()).toBe(null);
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				sendSystemEvent('token', { token: { user: "foo" }});
+				return flushRequests();
+			}).then(() => {
+				expect(client.getToken()).toEqual({ user: "foo" });
+				expect(onTokenChange).toHaveBeenCalledTimes(1);
+				expect(onTokenChange).toHaveBeenCalledWith({ user: "foo" }, client);
+				expect(cb.mock.calls.length).toBe(1);
+				expect(cb.mock.calls[0][0]).toEqual({ token: { user: "foo" }});
+
+				sendSystemEvent('token', { token: null });
+				return flushRequests();
+			}).then(() => {
+				expect(client.getToken()).toBe(null);
+				expect(onTokenChange).toHaveBeenCalledTimes(2);
+				expect(onTokenChange.mock.calls[1][0]).toBe(null);
+				expect(cb.mock.calls[1][0]).toEqual({ token: null });
+			});
+		});
+
+		it("clears the token when the connection is lost", () => {
+			let onTokenChange = jest.fn();
+			client = new ResClient(server.url, { onTokenChange });
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				sendSystemEvent('token', { token: "foo" });
+				return flushRequests();
+			}).then(() => {
+				expect(client.getToken()).toBe("foo");
+				server.close();
+				return flushRequests();
+			}).then(() => {
+				expect(client.getToken()).toBe(null);
+				expect(onTokenChange).toHaveBeenCalledTimes(2);
+				expect(onTokenChange.mock.calls[1][0]).toBe(null);
+			});
+		});
+
+		it("ignores unknown connection events", () => {
+			let promise = client.connect();
+
+			return flushRequests().then(() => promise).then(() => {
+				sendSystemEvent('unknown', { foo: "bar" });
+				return flushRequests();
+			}).then(() => {
+				expect(server.error).toBe(null);
+				expect(server.getNextRequest()).toBe(undefined);
+			});
+		});
+	});
+
+	describe("setOnConnect", () => {
+
+		it("calls the setOnConnect callback after connect", () => {
+			client.setOnConnect(cb);
+			client.connect();
+			return flushRequests().then(() => {
+				expect(cb.mock.calls.length).toBe(1);
+			});
+		});
+
+		it("postpones any request until setOnConnect callback resolves", () => {
+			let onConnect = jest.fn(() => client.call('service.model', 'test'));
+			client.setOnConnect(onConnect);
+
+			let promise = client.get('service.model');
+
+			return flushRequests().then(() => {
+				expect(server.pendingRequests()).toBe(1);
+				expect(server.error).toBe(null);
+				let req = server.getNextRequest();
+				expect(req.method).toBe('call.service.model.test');
+				server.sendResponse(req, null);
+
+				return flushRequests().then(() => {
+
+					expect(server.error).toBe(null);
+					let req = server.getNextRequest();
+					expect(req).not.toBe(undefined);
+					expect(req.method).toBe('subscribe.service.model');
+					server.sendResponse(req, modelData);
+					jest.runOnlyPendingTimers();
+					expect(server.error).toBe(null);
+					expect(server.pendingRequests()).toBe(0);
+					return promise;
+				});
+			});
+		});
+	});
+
+	describe("modelType", () => {
+
+		it("uses the registered model type when creating a model instance", () => {
+			client.registerModelType(
+				'service.item.*',
+				(api, rid, data) => {
+					return new ResModel(api, rid, {
+						definition: {
+							id: { type: 'number' },
+							name: { type: 'string' },
+							flag: { type: 'boolean', default: true }
+						}
+					});
+				}
+			);
+
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				expect(collection.atIndex(0).flag).toBe(true);
+				expect(collection.atIndex(1).flag).toBe(true);
+				expect(collection.atIndex(1).flag).toBe(true);
+			});
+		});
+
+		// it("does not use an unregistered model type when creating a model instance", () => {
+		// 	client.registerModelType(
+		// 		'service.item.*',
+		// 		(api, rid, data) => {
+		// 			return new ResModel(api, rid, {
+		// 				definition: {
+		// 					id: { type: 'number' },
+		// 					name: { type: 'string' },
+		// 					flag: { type: 'boolean', default: true }
+		// 				}
+		// 			});
+		// 		}
+		// 	);
+
+		// 	client.unregisterModelType('service.item');
+
+		// 	return getServerResource('service.collection', collectionResources).then(collection => {
+		// 		expect(collection.atIndex(0).flag).toBe(undefined);
+		// 		expect(collection.atIndex(1).flag).toBe(undefined);
+		// 		expect(collection.atIndex(1).flag).toBe(undefined);
+		// 	});
+		// });
+
+		it("uses the registered collection type when creating a collection instance", () => {
+			client.registerCollectionType(
+				'service.collection',
+				(api, rid) => {
+					let c = new ResCollection(api, rid);
+					c.flag = true;
+					return c;
+				}
+			);
 
 			return getServerResource('service.collection', collectionResources).then(collection => {
 				expect(collection.flag).toBe(true);
 			});
 		});
+
+		it("does not use an unregistered collection type when creating a collection instance", () => {
+			let factory = (api, rid) => {
+				let c = new ResCollection(api, rid);
+				c.flag = true;
+				return c;
+			};
+			client.registerModelType('service.collection', factory);
+			client.registerCollectionType('service.collection', factory);
+			expect(client.unregisterCollectionType('service.collection')).toBe(factory);
+
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				expect(collection.flag).toBe(undefined);
+				expect(client.unregisterModelType('service.collection')).toBe(factory);
+			});
+		});
+	});
+
+	describe("unsubscribe delay", () => {
+
+		function expectUnsubscribeAfter(delay) {
+			return waitAWhile(delay - 20).then(() => {
+				expect(server.pendingRequests()).toBe(0);
+				return waitAWhile(20);
+			}).then(flushRequests).then(() => {
+				let req = server.getNextRequest();
+				expect(req).not.toBe(undefined);
+				expect(req.method).toBe('unsubscribe.service.model');
+			});
+		}
+
+		it("unsubscribes after the default delay", () => {
+			return getServerResource('service.model', modelResources).then(() => expectUnsubscribeAfter(5000));
+		});
+
+		it("unsubscribes after the unsubscribeDelay setting", () => {
+			client = new ResClient(server.url, { unsubscribeDelay: 1000 });
+			return getServerResource('service.model', modelResources).then(() => expectUnsubscribeAfter(1000));
+		});
+
+		it("unsubscribes after the delay registered for the model type", () => {
+			client = new ResClient(server.url, { unsubscribeDelay: 1000 });
+			client.registerModelType('service.*', null, { unsubscribeDelay: 60000 });
+			return getServerResource('service.model', modelResources).then(model => {
+				expect(model).toBeInstanceOf(ResModel);
+				return expectUnsubscribeAfter(60000);
+			});
+		});
+
+		it("unsubscribes directly with a registered delay of 0", () => {
+			client.registerModelType('service.model', null, { unsubscribeDelay: 0 });
+			return getServerResource('service.model', modelResources).then(() => flushRequests()).then(() => {
+				let req = server.getNextRequest();
+				expect(req).not.toBe(undefined);
+				expect(req.method).toBe('unsubscribe.service.model');
+			});
+		});
+
+		it("subscribes to a stale model after the delay registered for the model type", () => {
+			client = new ResClient(server.url, { subscribeStaleDelay: 1000 });
+			client.registerModelType('service.item.*', null, { subscribeStaleDelay: 100 });
+			return getServerResource('service.collection', collectionResources).then(collection => {
+				collection.on('remove', cb);
+				collection.atIndex(0).on('change', cb2);
+				server.sendEvent('service.collection', 'remove', { idx: 0 });
+				return flushRequests();
+			}).then(() => {
+				expect(server.pendingRequests()).toBe(0);
+				return waitAWhile(100).then(flushRequests);
+			}).then(() => {
+				let req = server.getNextRequest();
+				expect(req).not.toBe(undefined);
+				expect(req.method).toBe('subscribe.service.item.10');
+			});
+		});
+
+		it("uses the client setting after the model type is unregistered", () => {
+			client = new ResClient(server.url, { unsubscribeDelay: 1000 });
+			client.registerModelType('service.*', null, { unsubscribeDelay: 60000 });
+			client.unregisterModelType('service.*');
+			return getServerResource('service.model', modelResources).then(() => expectUnsubscribeAfter(1000));
+		});
 	});
 
 	describe("ResModel", () => {
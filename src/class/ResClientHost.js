@@ -0,0 +1,489 @@
+// Protocol version served to the clients
+const hostProtocol = '1.2.1';
+const defaultPingInterval = 10000; // ms
+
+// Checks if a serialized value is a resource reference, excluding soft references
+function isRef(v) {
+	return v !== null && typeof v === 'object' && !!v.rid && !v.soft;
+}
+
+/**
+ * ResClientHost shares a single ResClient, and its connection, with any number
+ * of clients connected over message ports, such as the ports of a SharedWorker.
+ *
+ * Each port is served using the RES-Client protocol, allowing a ResClient using a
+ * PortTransport to connect to it. The host's ResClient owns the cache, the reference
+ * counting, and the subscriptions made to the server.
+ *
+ * A message port fires no event when its tab is closed. Instead, each session is
+ * pinged, and closed if it fails to respond before the next ping.
+ *
+ * Resource events, and the token and tokenReset connection events, are passed on to the sessions.
+ */
+class ResClientHost {
+
+	/**
+	 * Creates a ResClientHost instance
+	 * @param {ResClient} client ResClient instance to share.
+	 * @param {object} [opt] Optional parameters.
+	 * @param {number} [opt.pingInterval] Interval in milliseconds between session pings. 0 means no pings. Defaults to 10000.
+	 */
+	constructor(client, opt) {
+		this.client = client;
+		this.sessions = [];
+		this.refs = {}; // Number of session subscriptions per resource ID
+		this.pingInterval = opt && typeof opt.pingInterval === 'number' ? opt.pingInterval : defaultPingInterval;
+		this.pingTimer = null;
+
+		this._handleResourceEvent = this._handleResourceEvent.bind(this);
+		this._handleConnectionEvent = this._handleConnectionEvent.bind(this);
+		this._keep = () => {};
+		client.eventBus.on(null, null, this._handleResourceEvent, client.namespace + '.resource');
+		client.on('token tokenReset', this._handleConnectionEvent);
+	}
+
+	/**
+	 * Adds a message port to serve.
+	 * @param {MessagePort} port Message port, such as the port of a SharedWorker connect event.
+	 */
+	addPort(port) {
+		port.onmessage = e => this._handlePortMessage(port, e.data);
+	}
+
+	/**
+	 * Closes all sessions and stops listening to resource events.
+	 */
+	dispose() {
+		for (let session of this.sessions.slice()) {
+			this._closeSession(session, true);
+		}
+		this.client.eventBus.off(null, this._handleResourceEvent, this.client.namespace + '.resource');
+		this.client.off('token tokenReset', this._handleConnectionEvent);
+	}
+
+	_handlePortMessage(port, msg) {
+		if (!msg) {
+			return;
+		}
+
+		let session = this.sessions.find(s => s.port === port);
+		if (session) {
+			// Any message tells the session is alive
+			session.pinged = false;
+		}
+		switch (msg.type) {
+		case 'open':
+			if (session) {
+				this._closeSession(session, false);
+			}
+			session = { port, subs: {}, sent: {}, pinged: false };
+			this.sessions.push(session);
+			port.postMessage({ type: 'open' });
+			if (this.client.token !== null) {
+				this._send(session, { event: 'system.token', data: { token: this.client.token }});
+			}
+			if (this.pingInterval && !this.pingTimer) {
+				this.pingTimer = setInterval(() => this._ping(), this.pingInterval);
+			}
+			break;
+		case 'message':
+			if (session) {
+				this._handleRequest(session, JSON.parse(msg.data));
+			}
+			break;
+		case 'close':
+			if (session) {
+				this._closeSession(session, false);
+			}
+			break;
+		}
+	}
+
+	_closeSession(session, notify) {
+		let idx = this.sessions.indexOf(session);
+		if (idx < 0) {
+			return;
+		}
+
+		this.sessions.splice(idx, 1);
+		for (let rid in session.subs) {
+			this._removeRef(rid, session.subs[rid]);
+		}
+		session.subs = {};
+		if (notify) {
+			session.port.postMessage({ type: 'close' });
+		}
+		if (!this.sessions.length && this.pingTimer) {
+			clearInterval(this.pingTimer);
+			this.pingTimer = null;
+		}
+	}
+
+	/**
+	 * Pings the sessions, closing any session that has not
+	 * responded since the previous ping.
+	 * @private
+	 */
+	_ping() {
+		for (let session of this.sessions.slice()) {
+			if (session.pinged) {
+				this._closeSession(session, true);
+			} else {
+				session.pinged = true;
+				session.port.postMessage({ type: 'ping' });
+			}
+		}
+	}
+
+	_handleRequest(session, req) {
+		let m = req.method;
+		let i = m.indexOf('.');
+		let action = i < 0 ? m : m.substr(0, i);
+		let rid = m.substr(i + 1);
+		let method = null;
+		if (action === 'call' || action === 'auth') {
+			i = rid.lastIndexOf('.');
+			method = rid.substr(i + 1);
+			rid = rid.substr(0, i);
+		}
+
+		// Errors thrown by the client are passed on as error responses
+		Promise.resolve()
+			.then(() => this._serveRequest(session, req, action, rid, method))
+			.then(result => this._send(session, { id: req.id, result: result === undefined ? null : result }))
+			.catch(err => this._send(session, { id: req.id, error: {
+				code: err.code || 'system.internalError',
+				message: err.message || "Internal error",
+				data: err.data
+			}}));
+	}
+
+	/**
+	 * Serves a request from a session.
+	 * @param {object} session Session
+	 * @param {object} req Request object.
+	 * @param {string} action Request action.
+	 * @param {string} rid Resource ID
+	 * @param {?string} method Method name of call and auth requests.
+	 * @returns {*} Result, or a promise of the result.
+	 * @private
+	 */
+	_serveRequest(session, req, action, rid, method) {
+		switch (action) {
+		case 'version':
+			return { protocol: hostProtocol };
+		case 'subscribe':
+			return this.client.get(rid)
+				.then(() => this._subscribe(session, rid));
+		case 'unsubscribe':
+			return this._unsubscribe(session, rid);
+		case 'get':
+			return this._get(rid);
+		case 'query':
+			return this.client._send('query', rid, null, req.params);
+		case 'call':
+			return this.client.call(rid, method, req.params)
+				.then(result => this._callResult(session, result));
+		case 'auth':
+			return this.client.authenticate(rid, method, req.params)
+				.then(result => this._callResult(session, result));
+		case 'new':
+			return this.client.create(rid, req.params)
+				.then(item => {
+					let newRid = item.getResourceId();
+					return Object.assign({ rid: newRid }, this._subscribe(session, newRid));
+				});
+		default:
+			throw { code: 'system.invalidRequest', message: "Invalid request" };
+		}
+	}
+
+	/**
+	 * Adds a session subscription and returns the resources to send to the session.
+	 * @param {object} session Session
+	 * @param {string} rid Resource ID
+	 * @returns {object} Resource sets object with models, collections, and errors.
+	 * @private
+	 */
+	_subscribe(session, rid) {
+		session.subs[rid] = (session.subs[rid] || 0) + 1;
+		this._addRef(rid);
+
+		let resources = this.client._serializeResources([ rid ]);
+		this._addSent(session, resources);
+		return resources;
+	}
+
+	/**
+	 * Adds resources to the resources sent to the session.
+	 * @param {object} session Session
+	 * @param {object} resources Resource sets object with models, collections, and errors.
+	 * @private
+	 */
+	_addSent(session, resources) {
+		for (let t in resources) {
+			let rs = resources[t];
+			for (let rid in rs) {
+				session.sent[rid] = { type: t, data: rs[rid] };
+			}
+		}
+	}
+
+	/**
+	 * Gets the resources without subscribing to them. A resource subscribed to
+	 * by the client is serialized from the cache, while others are requested from the server.
+	 * @param {string} rid Resource ID
+	 * @returns {Promise.<object>} Promise of the resource sets object with models, collections, and errors.
+	 * @private
+	 */
+	_get(rid) {
+		let ci = this.client.cache[rid];
+		if (ci && ci.item && ci.subscribed) {
+			return Promise.resolve(this.client._serializeResources([ rid ]));
+		}
+		return this.client._send('get', rid);
+	}
+
+	/**
+	 * Wraps a call or auth result into a resource or payload response.
+	 * @param {object} session Session
+	 * @param {*} result Result returned by the client.
+	 * @returns {object} Response result.
+	 * @private
+	 */
+	_callResult(session, result) {
+		if (this.client._isResource(result)) {
+			let rid = result.getResourceId();
+			return Object.assign({ rid }, this._subscribe(session, rid));
+		}
+		return { payload: result === undefined ? null : result };
+	}
+
+	_unsubscribe(session, rid) {
+		let c = session.subs[rid];
+		if (!c) {
+			throw { code: 'system.noSubscription', message: "No subscription" };
+		}
+		if (c > 1) {
+			session.subs[rid] = c - 1;
+		} else {
+			delete session.subs[rid];
+			this._pruneSession(session);
+		}
+		this._removeRef(rid, 1);
+		return null;
+	}
+
+	_addRef(rid) {
+		let c = this.refs[rid] || 0;
+		if (!c) {
+			// Listening to the resource keeps it subscribed by the client
+			this.client.resourceOn(rid, null, this._keep);
+		}
+		this.refs[rid] = c + 1;
+	}
+
+	_removeRef(rid, n) {
+		let c = this.refs[rid] - n;
+		if (c > 0) {
+			this.refs[rid] = c;
+			return;
+		}
+		delete this.refs[rid];
+		this.client.resourceOff(rid, null, this._keep);
+	}
+
+	_send(session, msg) {
+		session.port.postMessage({ type: 'message', data: JSON.stringify(msg) });
+	}
+
+	_handleResourceEvent(data, target, event, action) {
+		let idx = action.lastIndexOf('.');
+		let rid = action.substr(0, idx);
+		let name = action.substr(idx + 1);
+		let ci = this.client.cache[rid];
+		// Ignore events from other clients sharing the event bus
+		if (!ci || ci.item !== target) {
+			return;
+		}
+
+		for (let session of this.sessions) {
+			if (!session.sent.hasOwnProperty(rid)) {
+				continue;
+			}
+			switch (name) {
+			case 'change':
+			case 'add':
+			case 'remove':
+				this._syncResource(session, ci);
+				break;
+			case 'unsubscribe':
+				this._send(session, { event: action, data: data && data.reason ? { reason: data.reason } : null });
+				this._release(session, rid);
+				break;
+			case 'delete':
+				// A deleted resource is never unsubscribed by the session
+				this._send(session, { event: action });
+				this._release(session, rid);
+				break;
+			default:
+				// Custom events are passed on
+				this._send(session, { event: action, data });
+			}
+		}
+	}
+
+	/**
+	 * Passes on a connection event to all sessions.
+	 * @param {*} data Event data.
+	 * @param {ResClient} target Client emitting the event.
+	 * @param {string} event Event name, including the namespace.
+	 * @private
+	 */
+	_handleConnectionEvent(data, target, event) {
+		let name = event.substr(event.lastIndexOf('.') + 1);
+		for (let session of this.sessions) {
+			this._send(session, { event: 'system.' + name, data });
+		}
+	}
+
+	/**
+	 * Releases all session subscriptions of a resource no longer subscribed to by the
+	 * session, and removes the resource from the resources sent to the session.
+	 * @param {object} session Session
+	 * @param {string} rid Resource ID
+	 * @private
+	 */
+	_release(session, rid) {
+		let c = session.subs[rid];
+		delete session.sent[rid];
+		if (c) {
+			delete session.subs[rid];
+			this._removeRef(rid, c);
+		}
+		this._pruneSession(session);
+	}
+
+	/**
+	 * Sends change, add, and remove events for any difference between the
+	 * resource previously sent to the session, and the current state of the
+	 * resource in the cache. Resources newly referenced are included in the events.
+	 * @param {object} session Session
+	 * @param {CacheItem} ci Cache item of the resource.
+	 * @private
+	 */
+	_syncResource(session, ci) {
+		let client = this.client;
+		let rid = ci.rid;
+		let s = session.sent[rid];
+		let a = s.data;
+		let b = client._serializeItem(ci);
+		session.sent[rid] = { type: s.type, data: b };
+
+		// Resources no longer referenced are removed before including
+		// any newly referenced ones, as the session might have released them.
+		let dropped = false;
+		for (let k in a) {
+			if (isRef(a[k]) && this._key(a[k]) !== this._key(b[k])) {
+				dropped = true;
+				break;
+			}
+		}
+		if (dropped) {
+			this._pruneSession(session);
+		}
+
+		// Gets resources newly referenced by a value
+		let getResources = (v, o) => {
+			if (isRef(v) && !session.sent.hasOwnProperty(v.rid)) {
+				let resources = client._serializeResources([ v.rid ], session.sent);
+				this._addSent(session, resources);
+				for (let t in resources) {
+					o[t] = Object.assign(o[t] || {}, resources[t]);
+				}
+			}
+			return o;
+		};
+
+		switch (ci.type) {
+		case 'model':
+			let values = null;
+			let data = {};
+			for (let k in a) {
+				if (!b.hasOwnProperty(k)) {
+					values = values || {};
+					values[k] = { action: 'delete' };
+				}
+			}
+			for (let k in b) {
+				if (!a.hasOwnProperty(k) || this._key(a[k]) !== this._key(b[k])) {
+					values = values || {};
+					values[k] = b[k];
+					getResources(b[k], data);
+				}
+			}
+			if (values) {
+				data.values = values;
+				this._send(session, { event: rid + '.change', data });
+			}
+			break;
+		case 'collection':
+			let keys = {};
+			let toKey = v => {
+				let k = this._key(v);
+				return typeof k === 'string' ? (keys[k] = keys[k] || {}) : k;
+			};
+			client._patchDiff(a.map(toKey), b.map(toKey),
+				(id, m, n, idx) => {},
+				(id, n, idx) => this._send(session, { event: rid + '.add', data: getResources(b[n], { value: b[n], idx }) }),
+				(id, m, idx) => this._send(session, { event: rid + '.remove', data: { idx }})
+			);
+			break;
+		}
+	}
+
+	/**
+	 * Removes the resources sent to the session that are no longer
+	 * reachable from the session subscriptions.
+	 * @param {object} session Session
+	 * @private
+	 */
+	_pruneSession(session) {
+		let sent = session.sent;
+		let reachable = {};
+		let rids = Object.keys(session.subs);
+		while (rids.length) {
+			let rid = rids.pop();
+			if (reachable.hasOwnProperty(rid) || !sent.hasOwnProperty(rid)) {
+				continue;
+			}
+			let s = reachable[rid] = sent[rid];
+			if (s.type !== 'errors') {
+				for (let k in s.data) {
+					if (isRef(s.data[k])) {
+						rids.push(s.data[k].rid);
+					}
+				}
+			}
+		}
+		session.sent = reachable;
+	}
+
+	/**
+	 * Gets a comparable key for a serialized value,
+	 * where resource references, soft references, and data values are represented by a string.
+	 * @param {*} v Serialized value
+	 * @returns {*} Value, or a string for resource references.
+	 * @private
+	 */
+	_key(v) {
+		if (v === null || typeof v !== 'object') {
+			return v;
+		}
+		return v.rid
+			? (v.soft ? 'soft:' : 'rid:') + v.rid
+			: 'data:' + JSON.stringify(v.data);
+	}
+}
+
+export default ResClientHost;
@@ -0,0 +1,504 @@
+import ResClient from './ResClient.js';
+import ResClientHost from './ResClientHost.js';
+import PortTransport from './PortTransport.js';
+import ResRef from './ResRef.js';
+import LoopbackTransport from '../test/LoopbackTransport.js';
+
+class FakePort {
+	constructor() {
+		this.other = null;
+		this.onmessage = null;
+	}
+
+	postMessage(data) {
+		let other = this.other;
+		setTimeout(() => {
+			if (other.onmessage) {
+				other.onmessage({ data });
+			}
+		}, 0);
+	}
+}
+
+function createChannel() {
+	let port1 = new FakePort();
+	let port2 = new FakePort();
+	port1.other = port2;
+	port2.other = port1;
+	return { port1, port2 };
+}
+
+describe("ResClientHost", () => {
+
+	let server;
+	let client;
+	let host;
+
+	function waitAWhile() {
+		return new Promise(resolve => setTimeout(resolve, 50));
+	}
+
+	function createProxy() {
+		let { port1, port2 } = createChannel();
+		host.addPort(port1);
+		return new ResClient('ws://localhost/ws', {
+			transport: (url, handlers) => new PortTransport(port2, handlers)
+		});
+	}
+
+	function getProxyModel(proxy) {
+		let promise = proxy.get('service.model');
+		return waitAWhile().then(() => {
+			let req = server.requests.shift();
+			expect(req.method).toBe('subscribe.service.model');
+			server.respond(req, { models: { 'service.model': { foo: "bar", ref: { rid: 'service.ref' }}, 'service.ref': { id: 1 }}});
+			return promise;
+		});
+	}
+
+	function getProxyCollection(proxy) {
+		let promise = proxy.get('service.collection');
+		return waitAWhile().then(() => {
+			let req = server.requests.shift();
+			expect(req.method).toBe('subscribe.service.collection');
+			server.respond(req, {
+				models: { 'service.item.10': { id: 10 }},
+				collections: { 'service.collection': [ "foo", { rid: 'service.item.10' }] }
+			});
+			return promise;
+		});
+	}
+
+	beforeEach(() => {
+		server = null;
+		client = new ResClient('ws://localhost/ws', {
+			transport: (url, handlers) => (server = new LoopbackTransport(url, handlers, { autoOpen: true }))
+		});
+		host = new ResClientHost(client);
+	});
+
+	afterEach(() => {
+		host.dispose();
+		client.disconnect();
+	});
+
+	describe("get", () => {
+
+		it("gets a model through the host", () => {
+			return getProxyModel(createProxy()).then(model => {
+				expect(model.foo).toBe("bar");
+				expect(model.ref.getResourceId()).toBe('service.ref');
+				expect(model.ref.id).toBe(1);
+			});
+		});
+
+		it("gets a collection through the host", () => {
+			return getProxyCollection(createProxy()).then(collection => {
+				expect(collection.length).toBe(2);
+				expect(collection.atIndex(0)).toBe("foo");
+				expect(collection.atIndex(1).id).toBe(10);
+			});
+		});
+
+		it("gets a model with a soft reference through the host", () => {
+			let promise = createProxy().get('service.model');
+			return waitAWhile().then(() => {
+				server.respond(server.requests.shift(), { models: { 'service.model': { ref: { rid: 'service.ref', soft: true }}}});
+				return promise;
+			}).then(model => {
+				expect(model.ref).toBeInstanceOf(ResRef);
+				expect(model.ref.getResourceId()).toBe('service.ref');
+			});
+		});
+
+		it("shares a single subscription between proxies", () => {
+			let proxy2 = createProxy();
+			return getProxyModel(createProxy()).then(model => {
+				return proxy2.get('service.model').then(model2 => {
+					expect(model2.foo).toBe("bar");
+					expect(server.requests.length).toBe(0);
+				});
+			});
+		});
+
+		it("responds with error on failed subscription", () => {
+			let promise = createProxy().get('service.model');
+			return waitAWhile().then(() => {
+				server.error(server.requests.shift(), 'system.notFound', "Not found");
+				return expect(promise).rejects.toMatchObject({ code: 'system.notFound' });
+			});
+		});
+
+		it("fetches a resource through the host without subscribing", () => {
+			let promise = createProxy().fetch('service.model');
+			return waitAWhile().then(() => {
+				let req = server.requests.shift();
+				expect(req.method).toBe('get.service.model');
+				server.respond(req, { models: { 'service.model': { foo: "bar", ref: { rid: 'service.ref' }}, 'service.ref': { id: 1 }}});
+				return promise;
+			}).then(snapshot => {
+				expect(snapshot).toEqual({ foo: "bar", ref: { id: 1 }});
+				expect(client.cache['service.model']).toBe(undefined);
+				expect(host.refs).toEqual({});
+			});
+		});
+
+		it("fetches a resource subscribed to by the host from the cache", () => {
+			let proxy = createProxy();
+			return getProxyModel(proxy).then(() => proxy.fetch('service.model')).then(snapshot => {
+				expect(snapshot).toEqual({ foo: "bar", ref: { id: 1 }});
+				expect(server.requests.length).toBe(0);
+			});
+		});
+
+		it("passes query requests to the server", () => {
+			let promise = createProxy()._send('query', 'service.model', null, { query: 'start=0' });
+			return waitAWhile().then(() => {
+				let req = server.requests.shift();
+				expect(req.method).toBe('query.service.model');
+				expect(req.params).toEqual({ query: 'start=0' });
+				server.respond(req, { events: [] });
+				return expect(promise).resolves.toEqual({ events: [] });
+			});
+		});
+	});
+
+	describe("events", () => {
+
+		it("passes model change events to the proxy", () => {
+			return getProxyModel(createProxy()).then(model => {
+				let cb = jest.fn();
+				model.on('change', cb);
+				server.event('service.model.change', { values: { foo: "baz", ref: { action: 'delete' }}});
+				return waitAWhile().then(() => {
+					expect(model.foo).toBe("baz");
+					expect(model.hasOwnProperty('ref')).toBe(false);
+					expect(cb).toHaveBeenCalledTimes(1);
+					expect(cb.mock.calls[0][0]).toEqual({ foo: "bar", ref: expect.anything() });
+				});
+			});
+		});
+
+		it("passes model change events with new resource references", () => {
+			return getProxyModel(createProxy()).then(model => {
+				model.on('change', () => {});
+				server.event('service.model.change', {
+					values: { ref: { rid: 'service.other' }},
+					models: { 'service.other': { id: 2 }}
+				});
+				return waitAWhile().then(() => {
+					expect(model.ref.getResourceId()).toBe('service.other');
+					expect(model.ref.id).toBe(2);
+				});
+			});
+		});
+
+		it("passes data value changes to the proxy", () => {
+			return getProxyModel(createProxy()).then(model => {
+				let cb = jest.fn();
+				model.on('change', cb);
+				server.event('service.model.change', { values: { obj: { data: { a: [ 1 ] }}}});
+				return waitAWhile().then(() => {
+					expect(model.obj).toEqual({ a: [ 1 ] });
+					expect(Object.isFrozen(model.obj)).toBe(true);
+					server.event('service.model.change', { values: { foo: "baz", obj: { data: { a: [ 1 ] }}}});
+					return waitAWhile();
+				}).then(() => {
+					expect(cb).toHaveBeenCalledTimes(2);
+					expect(cb.mock.calls[1][0]).toEqual({ foo: "bar" });
+				});
+			});
+		});
+
+		it("passes changes of referenced models to the proxy", () => {
+			return getProxyModel(createProxy()).then(model => {
+				let ref = model.ref;
+				ref.on('change', () => {});
+				server.event('service.ref.change', { values: { id: 3 }});
+				return waitAWhile().then(() => {
+					expect(ref.id).toBe(3);
+				});
+			});
+		});
+
+		it("passes collection add and remove events to the proxy", () => {
+			return getProxyCollection(createProxy()).then(collection => {
+				let addCb = jest.fn();
+				let removeCb = jest.fn();
+				collection.on('add', addCb);
+				collection.on('remove', removeCb);
+				server.event('service.collection.remove', { idx: 0 });
+				server.event('service.collection.add', {
+					value: { rid: 'service.item.20' },
+					idx: 1,
+					models: { 'service.item.20': { id: 20 }}
+				});
+				return waitAWhile().then(() => {
+					expect(collection.length).toBe(2);
+					expect(collection.atIndex(0).id).toBe(10);
+					expect(collection.atIndex(1).id).toBe(20);
+					expect(removeCb).toHaveBeenCalledTimes(1);
+					expect(removeCb.mock.calls[0][0]).toEqual({ item: "foo", idx: 0 });
+					expect(addCb).toHaveBeenCalledTimes(1);
+					expect(addCb.mock.calls[0][0]).toEqual({ item: collection.atIndex(1), idx: 1 });
+				});
+			});
+		});
+
+		it("synchronizes only the resource of the event, for sessions that have it", () => {
+			let other = createProxy();
+			let promise = other.get('service.other');
+			return waitAWhile().then(() => {
+				server.respond(server.requests.shift(), { models: { 'service.other': { id: 2 }}});
+				return promise;
+			}).then(() => getProxyModel(createProxy())).then(model => {
+				model.on('change', () => {});
+				let spy = jest.spyOn(client, '_serializeItem');
+				server.event('service.model.change', { values: { foo: "baz" }});
+				return waitAWhile().then(() => {
+					expect(model.foo).toBe("baz");
+					expect(spy).toHaveBeenCalledTimes(1);
+					expect(spy.mock.calls[0][0].rid).toBe('service.model');
+					spy.mockRestore();
+				});
+			});
+		});
+
+		it("includes the data of a removed resource when added again", () => {
+			return getProxyCollection(createProxy()).then(collection => {
+				collection.on('add', () => {});
+				server.event('service.collection.remove', { idx: 1 });
+				return waitAWhile().then(() => {
+					expect(collection.length).toBe(1);
+					server.event('service.collection.add', { value: { rid: 'service.item.10' }, idx: 0, models: { 'service.item.10': { id: 12 }}});
+					return waitAWhile();
+				}).then(() => {
+					expect(collection.length).toBe(2);
+					expect(collection.atIndex(0).id).toBe(12);
+				});
+			});
+		});
+
+		it("passes delete events to the proxy", () => {
+			return getProxyModel(createProxy()).then(model => {
+				let cb = jest.fn();
+				model.on('delete', cb);
+				server.event('service.model.delete');
+				return waitAWhile().then(() => {
+					expect(model.isDeleted()).toBe(true);
+					expect(cb).toHaveBeenCalledTimes(1);
+					expect(cb.mock.calls[0][0]).toEqual({ item: model });
+					expect(host.refs).toEqual({});
+					expect(host.sessions[0].subs).toEqual({});
+				});
+			});
+		});
+
+		it("passes unsubscribe events with reason to the proxy", () => {
+			let proxy = createProxy();
+			return getProxyModel(proxy).then(model => {
+				let cb = jest.fn();
+				model.on('unsubscribe', cb);
+				let reason = { code: 'system.accessDenied', message: "Access denied" };
+				server.event('service.model.unsubscribe', { reason });
+				return waitAWhile().then(() => {
+					expect(cb).toHaveBeenCalledTimes(1);
+					expect(cb.mock.calls[0][0]).toEqual({ item: model, reason });
+					expect(proxy.cache['service.model'].subscribed).toBe(false);
+					expect(host.sessions[0].subs).toEqual({});
+					expect(host.sessions[0].sent).toEqual({});
+				});
+			});
+		});
+
+		it("passes token events to the proxy", () => {
+			let proxy = createProxy();
+			return Promise.all([ client.connect(), proxy.connect() ]).then(() => {
+				server.event('system.token', { token: { user: "foo" }});
+				return waitAWhile();
+			}).then(() => {
+				expect(proxy.getToken()).toEqual({ user: "foo" });
+				proxy.disconnect();
+			});
+		});
+
+		it("sends the current token to new proxies", () => {
+			return client.connect().then(() => {
+				server.event('system.token', { token: { user: "foo" }});
+				let proxy = createProxy();
+				return proxy.connect().then(() => waitAWhile()).then(() => {
+					expect(proxy.getToken()).toEqual({ user: "foo" });
+					proxy.disconnect();
+				});
+			});
+		});
+
+		it("passes custom events to the proxy", () => {
+			return getProxyModel(createProxy()).then(model => {
+				let cb = jest.fn();
+				model.on('custom', cb);
+				server.event('service.model.custom', { foo: "bar" });
+				return waitAWhile().then(() => {
+					expect(cb).toHaveBeenCalledTimes(1);
+					expect(cb.mock.calls[0][0]).toEqual({ foo: "bar" });
+				});
+			});
+		});
+	});
+
+	describe("call", () => {
+
+		it("calls a method through the host", () => {
+			let proxy = createProxy();
+			let promise = proxy.call('service.model', 'method', { foo: "bar" });
+			return waitAWhile().then(() => {
+				let req = server.requests.shift();
+				expect(req.method).toBe('call.service.model.method');
+				expect(req.params).toEqual({ foo: "bar" });
+				server.respond(req, { payload: { zoo: "baz" }});
+				return promise.then(result => {
+					expect(result).toEqual({ zoo: "baz" });
+				});
+			});
+		});
+
+		it("calls a method responding with a resource through the host", () => {
+			let proxy = createProxy();
+			let promise = proxy.call('service.collection', 'add');
+			return waitAWhile().then(() => {
+				server.respond(server.requests.shift(), { rid: 'service.model', models: { 'service.model': { foo: "bar" }}});
+				return promise.then(model => {
+					expect(model.getResourceId()).toBe('service.model');
+					expect(model.foo).toBe("bar");
+					expect(host.refs).toEqual({ 'service.model': 1 });
+				});
+			});
+		});
+
+		it("responds with error on failed call", () => {
+			let promise = createProxy().call('service.model', 'method');
+			return waitAWhile().then(() => {
+				server.error(server.requests.shift(), 'system.accessDenied', "Access denied");
+				return expect(promise).rejects.toMatchObject({ code: 'system.accessDenied', message: "Access denied" });
+			});
+		});
+
+		it("authenticates through the host", () => {
+			let promise = createProxy().authenticate('service.auth', 'login', { user: "foo" });
+			return waitAWhile().then(() => {
+				let req = server.requests.shift();
+				expect(req.method).toBe('auth.service.auth.login');
+				server.respond(req, { payload: null });
+				return expect(promise).resolves.toBe(null);
+			});
+		});
+	});
+
+	describe("session", () => {
+
+		it("responds with error on unsubscribe without subscription", () => {
+			let promise = createProxy()._send('unsubscribe', 'service.model');
+			return expect(promise).rejects.toMatchObject({ code: 'system.noSubscription' });
+		});
+
+		it("responds with error on a request throwing an error", () => {
+			let { port1, port2 } = createChannel();
+			host.addPort(port1);
+			let cb = jest.fn();
+			port2.onmessage = e => cb(e.data);
+			port2.postMessage({ type: 'open' });
+			port2.postMessage({ type: 'message', data: JSON.stringify({ id: 1, method: 'call.service.model.' }) });
+			return waitAWhile().then(() => {
+				expect(cb).toHaveBeenCalledTimes(2);
+				expect(JSON.parse(cb.mock.calls[1][0].data)).toMatchObject({ id: 1, error: { code: 'system.internalError' }});
+			});
+		});
+
+		it("serves the host protocol version", () => {
+			let proxy = createProxy();
+			return proxy.connect().then(() => {
+				expect(proxy.getProtocolVersion()).toBe('1.2.1');
+				proxy.disconnect();
+			});
+		});
+
+		it("releases subscriptions when the proxy disconnects", () => {
+			let proxy = createProxy();
+			return getProxyModel(proxy).then(model => {
+				expect(client.cache['service.model'].direct).toBe(1);
+				proxy.disconnect();
+				return waitAWhile().then(() => {
+					expect(host.sessions.length).toBe(0);
+					expect(host.refs).toEqual({});
+					expect(client.cache['service.model'].direct).toBe(0);
+				});
+			});
+		});
+
+		it("keeps subscriptions used by other proxies", () => {
+			let proxy = createProxy();
+			let proxy2 = createProxy();
+			return getProxyModel(proxy).then(() => proxy2.get('service.model')).then(() => {
+				proxy.disconnect();
+				return waitAWhile().then(() => {
+					expect(host.sessions.length).toBe(1);
+					expect(host.refs).toEqual({ 'service.model': 1 });
+				});
+			});
+		});
+
+		it("closes sessions not responding to pings", () => {
+			host.dispose();
+			host = new ResClientHost(client, { pingInterval: 20 });
+			let { port1, port2 } = createChannel();
+			host.addPort(port1);
+			let proxy = new ResClient('ws://localhost/ws', {
+				transport: (url, handlers) => new PortTransport(port2, handlers)
+			});
+			return getProxyModel(proxy).then(() => {
+				expect(host.refs).toEqual({ 'service.model': 1 });
+				// A closed tab no longer responds
+				port2.onmessage = null;
+				return new Promise(resolve => setTimeout(resolve, 100));
+			}).then(() => {
+				expect(host.sessions.length).toBe(0);
+				expect(host.refs).toEqual({});
+				expect(host.pingTimer).toBe(null);
+			});
+		});
+
+		it("keeps sessions responding to pings", () => {
+			host.dispose();
+			host = new ResClientHost(client, { pingInterval: 20 });
+			let proxy = createProxy();
+			return getProxyModel(proxy).then(() => new Promise(resolve => setTimeout(resolve, 100))).then(() => {
+				expect(host.sessions.length).toBe(1);
+				expect(host.refs).toEqual({ 'service.model': 1 });
+				proxy.disconnect();
+			});
+		});
+
+		it("closes the session when the page is hidden", () => {
+			let proxy = createProxy();
+			return getProxyModel(proxy).then(() => {
+				window.dispatchEvent(new Event('pagehide'));
+				return waitAWhile();
+			}).then(() => {
+				expect(host.sessions.length).toBe(0);
+				expect(host.refs).toEqual({});
+				proxy.disconnect();
+			});
+		});
+
+		it("closes the proxy connections on dispose", () => {
+			let proxy = createProxy();
+			return proxy.connect().then(() => {
+				host.dispose();
+				return waitAWhile().then(() => {
+					expect(proxy.getState()).not.toBe('connected');
+					proxy.disconnect();
+				});
+			});
+		});
+	});
+});
@@ -56,6 +56,7 @@ class ResCollection {
 
 		this._map = this._idCallback ? {} : null;
 		this._list = null;
+		this._deleted = false;
 	}
 
 	/**
@@ -73,11 +74,20 @@ class ResCollection {
 		return this._list.length;
 	}
 
+	/**
+	 * Checks if the collection is deleted.
+	 * A deleted collection is no longer updated, and any call to it will fail with a system.deleted error.
+	 * @returns {boolean} True if the collection is deleted.
+	 */
+	isDeleted() {
+		return this._deleted;
+	}
+
 	/**
 	 * Attach a collection event handler function for one or more events.
 	 * If no event or handler is provided, the collection will still be considered listened to,
 	 * until a matching off call without arguments is made.
-	 * Available events are 'add', 'remove', and custom events.
+	 * Available events are 'add', 'remove', 'delete', and custom events.
 	 * @param {?string} [events] One or more space-separated events. Null means any event.
 	 * @param {ResCollection~addCallback|ResCollection~removeCallback|eventCallback} [handler] Handler function to execute when the event is emitted.
 	 * @returns {this}
@@ -89,7 +99,7 @@ class ResCollection {
 
 	 /**
 	 * Remove a collection event handler function.
-	 * Available events are 'add', 'remove', and custom events.
+	 * Available events are 'add', 'remove', 'delete', and custom events.
 	 * @param {?string} [events] One or more space-separated events. Null means any event.
 	 * @param {ResCollection~addCallback|ResCollection~removeCallback|eventCallback} [handler] Handler function to remove.
 	 * @returns {this}
@@ -132,10 +142,11 @@ class ResCollection {
 	 * Calls a method on the collection.
 	 * @param {string} method Method name
 	 * @param {*} params Method parameters
+	 * @param {ResClient~requestOptions} [opt] Optional request options.
 	 * @returns {Promise.<object>} Promise of the call result.
 	 */
-	call(method, params) {
-		return this._api.call(this._rid, method, params);
+	call(method, params, opt) {
+		return this._api.call(this._rid, method, params, opt);
 	}
 
 	/**
@@ -204,6 +215,15 @@ class ResCollection {
 		return item;
 	}
 
+	/**
+	 * Marks the collection as deleted.
+	 * Should only be called by the ResClient instance.
+	 * @private
+	 */
+	__delete() {
+		this._deleted = true;
+	}
+
 	_hasId() {
 		if (!this._idCallback) {
 			throw new Error("No id callback defined");
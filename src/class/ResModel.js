@@ -29,6 +29,7 @@ class ResModel {
 
 		this._rid = rid;
 		this._api = api;
+		this._deleted = false;
 	}
 
 	/**
@@ -39,11 +40,20 @@ class ResModel {
 		return this._rid;
 	}
 
+	/**
+	 * Checks if the model is deleted.
+	 * A deleted model is no longer updated, and any call to it will fail with a system.deleted error.
+	 * @returns {boolean} True if the model is deleted.
+	 */
+	isDeleted() {
+		return this._deleted;
+	}
+
 	/**
 	 * Attach a model event handler function for one or more events.
 	 * If no event or handler is provided, the model will still be considered listened to,
 	 * until a matching off call without arguments is made.
-	 * Available events are 'change', or custom events.
+	 * Available events are 'change', 'delete', or custom events.
 	 * @param {?string} [events] One or more space-separated events. Null means any event.
 	 * @param {ResModel~changeCallback|eventCallback} [handler] Handler function to execute when the event is emitted.
 	 * @returns {this}
@@ -55,7 +65,7 @@ class ResModel {
 
 	 /**
 	 * Remove a model event handler function.
-	 * Available events are 'change', or custom events.
+	 * Available events are 'change', 'delete', or custom events.
 	 * @param {?string} events One or more space-separated events. Null means any event.
 	 * @param {ResModel~changeCallback|eventCallback} [handler] Handler function to remove.
 	 * @returns {this}
@@ -68,20 +78,22 @@ class ResModel {
 	/**
 	 * Calls the set method to update model properties.
 	 * @param {object} props Properties. Set value to undefined to delete a property.
+	 * @param {ResClient~requestOptions} [opt] Optional request options.
 	 * @returns {Promise.<object>} Promise of the call being completed.
 	 */
-	set(props) {
-		return this._api.setModel(this._rid, props);
+	set(props, opt) {
+		return this._api.setModel(this._rid, props, opt);
 	}
 
 	/**
 	 * Calls a method on the model.
 	 * @param {string} method Method name
 	 * @param {*} params Method parameters
+	 * @param {ResClient~requestOptions} [opt] Optional request options.
 	 * @returns {Promise.<object>} Promise of the call result.
 	 */
-	call(method, params) {
-		return this._api.call(this._rid, method, params);
+	call(method, params, opt) {
+		return this._api.call(this._rid, method, params, opt);
 	}
 
 	/**
@@ -133,6 +145,15 @@ class ResModel {
 		return changed;
 	}
 
+	/**
+	 * Marks the model as deleted.
+	 * Should only be called by the ResClient instance.
+	 * @private
+	 */
+	__delete() {
+		this._deleted = true;
+	}
+
 	toJSON() {
 		let o, v;
 		if (this._definition) {
@@ -0,0 +1,49 @@
+/**
+ * ResRef represents a soft reference to a resource.
+ * Unlike regular references, the referenced resource is not subscribed to,
+ * nor kept in the cache, until it is requested with get.
+ */
+class ResRef {
+
+	/**
+	 * Creates a new ResRef instance.
+	 * @param {ResClient} api ResClient instance.
+	 * @param {string} rid Resource ID.
+	 */
+	constructor(api, rid) {
+		this._rid = rid;
+		this._api = api;
+	}
+
+	/**
+	 * Referenced resource ID
+	 * @returns {string} Resource ID
+	 */
+	getResourceId() {
+		return this._rid;
+	}
+
+	/**
+	 * Gets the referenced resource from the cache,
+	 * or by subscribing to it from the server.
+	 * @returns {Promise.<(ResModel|ResCollection)>} Promise of the resource.
+	 */
+	get() {
+		return this._api.get(this._rid);
+	}
+
+	/**
+	 * Checks if another value is a soft reference to the same resource.
+	 * @param {*} o Value to compare with.
+	 * @returns {boolean} True if the value references the same resource.
+	 */
+	equals(o) {
+		return o instanceof ResRef && o._rid === this._rid;
+	}
+
+	toJSON() {
+		return { rid: this._rid };
+	}
+}
+
+export default ResRef;
@@ -0,0 +1,50 @@
+/**
+ * Default WebSocket factory, using the global WebSocket.
+ * @param {string} url WebSocket URL.
+ * @returns {WebSocket} WebSocket instance.
+ * @private
+ */
+const defaultWsFactory = function(url) {
+	return new WebSocket(url);
+};
+
+/**
+ * WebSocketTransport is the default transport, connecting to the RES API over a WebSocket.
+ * @implements {Transport}
+ */
+class WebSocketTransport {
+
+	/**
+	 * Creates a WebSocketTransport instance, opening a WebSocket connection.
+	 * @param {string} url WebSocket URL.
+	 * @param {transportHandlers} handlers Handlers called on transport events.
+	 * @param {object} [opt] Optional parameters.
+	 * @param {function} [opt.wsFactory] WebSocket factory callback, taking the URL as argument. Defaults to using the global WebSocket.
+	 */
+	constructor(url, handlers, opt) {
+		let wsFactory = (opt && opt.wsFactory) || defaultWsFactory;
+
+		this.ws = wsFactory(url);
+		this.ws.onopen = e => handlers.onOpen(e);
+		this.ws.onerror = e => handlers.onError(e);
+		this.ws.onmessage = e => handlers.onMessage(e.data);
+		this.ws.onclose = e => handlers.onClose(e);
+	}
+
+	/**
+	 * Sends a message over the WebSocket.
+	 * @param {string} data Json encoded message.
+	 */
+	send(data) {
+		this.ws.send(data);
+	}
+
+	/**
+	 * Closes the WebSocket.
+	 */
+	close() {
+		this.ws.close();
+	}
+}
+
+export default WebSocketTransport;
@@ -0,0 +1,40 @@
+/**
+ * WebStorageAdapter is a storage adapter storing values as JSON in a Web Storage,
+ * such as localStorage.
+ * @implements {StorageAdapter}
+ */
+class WebStorageAdapter {
+
+	/**
+	 * Creates a WebStorageAdapter instance.
+	 * @param {Storage} [storage] Web Storage instance. Defaults to the global localStorage.
+	 */
+	constructor(storage) {
+		this.storage = storage || localStorage;
+	}
+
+	/**
+	 * Loads a value from the storage.
+	 * @param {string} key Storage key.
+	 * @returns {*} Stored value, or null if no value is stored.
+	 */
+	load(key) {
+		let json = this.storage.getItem(key);
+		return json ? JSON.parse(json) : null;
+	}
+
+	/**
+	 * Stores a value, or removes it if the value is null or undefined.
+	 * @param {string} key Storage key.
+	 * @param {*} value JSON compatible value to store.
+	 */
+	save(key, value) {
+		if (value === null || value === undefined) {
+			this.storage.removeItem(key);
+		} else {
+			this.storage.setItem(key, JSON.stringify(value));
+		}
+	}
+}
+
+export default WebStorageAdapter;
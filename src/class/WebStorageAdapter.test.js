@@ -0,0 +1,34 @@
+import WebStorageAdapter from './WebStorageAdapter.js';
+
+describe("WebStorageAdapter", () => {
+
+	let adapter;
+
+	beforeEach(() => {
+		localStorage.clear();
+		adapter = new WebStorageAdapter();
+	});
+
+	it("loads null when no value is stored", () => {
+		expect(adapter.load('test')).toBe(null);
+	});
+
+	it("saves and loads a value", () => {
+		adapter.save('test', [{ id: 1, method: 'call.service.model.set', params: { foo: "bar" }}]);
+		expect(JSON.parse(localStorage.getItem('test'))).toEqual([{ id: 1, method: 'call.service.model.set', params: { foo: "bar" }}]);
+		expect(adapter.load('test')).toEqual([{ id: 1, method: 'call.service.model.set', params: { foo: "bar" }}]);
+	});
+
+	it("removes the value when saving null", () => {
+		adapter.save('test', { foo: "bar" });
+		adapter.save('test', null);
+		expect(localStorage.getItem('test')).toBe(null);
+	});
+
+	it("uses the provided storage", () => {
+		adapter = new WebStorageAdapter(sessionStorage);
+		adapter.save('test', 42);
+		expect(sessionStorage.getItem('test')).toBe("42");
+		expect(localStorage.getItem('test')).toBe(null);
+	});
+});
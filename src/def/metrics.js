@@ -0,0 +1,40 @@
+/**
+ * MetricsReporter receives metrics reported by ResClient.
+ *
+ * The following metrics are reported:
+ * * request.latency - Timing of each request, tagged with action, method for call and auth requests, and error code on failure.
+ * * messages.out, bytes.out - Counters of sent messages and their UTF-8 encoded size.
+ * * messages.in, bytes.in - Counters of received messages and their UTF-8 encoded size.
+ * * subscriptions - Gauge of the number of subscribed resources.
+ * * cache.size - Gauge of the number of cached resources.
+ * * reconnects - Counter of reconnect attempts.
+ * * patchdiff.time - Timing of collection diffing when synchronizing stale collections.
+ * @interface MetricsReporter
+ */
+
+/**
+ * Increments a counter.
+ * @function
+ * @name MetricsReporter#increment
+ * @param {string} name Metric name.
+ * @param {number} value Value to add to the counter.
+ * @param {?Object.<string, string>} tags Metric tags.
+ */
+
+/**
+ * Sets a gauge value.
+ * @function
+ * @name MetricsReporter#gauge
+ * @param {string} name Metric name.
+ * @param {number} value Current value.
+ * @param {?Object.<string, string>} tags Metric tags.
+ */
+
+/**
+ * Records a timing.
+ * @function
+ * @name MetricsReporter#timing
+ * @param {string} name Metric name.
+ * @param {number} duration Duration in milliseconds.
+ * @param {?Object.<string, string>} tags Metric tags.
+ */
@@ -0,0 +1,23 @@
+/**
+ * StorageAdapter is a key-value store used by ResClient to persist data between sessions.
+ * Values are JSON compatible. Both methods may return a promise, allowing asynchronous
+ * stores such as IndexedDB to be used.
+ * @interface StorageAdapter
+ */
+
+/**
+ * Loads a stored value.
+ * @function
+ * @name StorageAdapter#load
+ * @param {string} key Storage key.
+ * @returns {*|Promise.<*>} Stored value, or a promise of the value. Undefined or null if no value is stored.
+ */
+
+/**
+ * Stores a value, replacing any previously stored value.
+ * @function
+ * @name StorageAdapter#save
+ * @param {string} key Storage key.
+ * @param {*} value JSON compatible value to store.
+ * @returns {void|Promise} Optional promise of the value being stored.
+ */
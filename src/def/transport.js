@@ -0,0 +1,34 @@
+/**
+ * Transport factory callback, creating a connection to the RES API.
+ * @callback transportFactory
+ * @param {string} url Host URL.
+ * @param {transportHandlers} handlers Handlers to call on transport events.
+ * @returns {Transport} Transport connection.
+ */
+
+/**
+ * Transport handlers
+ * @typedef {object} transportHandlers
+ * @property {function} onOpen Called with an event object once the connection is open.
+ * @property {function} onMessage Called with the json encoded message string for each received message.
+ * @property {function} onError Called with an error event object on connection error.
+ * @property {function} onClose Called with a close event object once the connection is closed.
+ */
+
+/**
+ * Transport is a connection to the RES API, carrying json encoded messages.
+ * @interface Transport
+ */
+
+/**
+ * Sends a json encoded message.
+ * @function
+ * @name Transport#send
+ * @param {string} data Json encoded message.
+ */
+
+/**
+ * Closes the connection. The onClose handler should be called once closed.
+ * @function
+ * @name Transport#close
+ */
@@ -5,3 +5,11 @@
 export { default, isResError } from './class/ResClient.js';
 export { default as ResCollection } from './class/ResCollection.js';
 export { default as ResModel } from './class/ResModel.js';
+export { default as ResRef } from './class/ResRef.js';
+export { default as WebSocketTransport } from './class/WebSocketTransport.js';
+export { default as PortTransport } from './class/PortTransport.js';
+export { default as ResClientHost } from './class/ResClientHost.js';
+export { default as BroadcastTransport } from './class/BroadcastTransport.js';
+export { default as BroadcastHost } from './class/BroadcastHost.js';
+export { default as WebStorageAdapter } from './class/WebStorageAdapter.js';
+export { default as MemoryMetricsReporter } from './class/MemoryMetricsReporter.js';
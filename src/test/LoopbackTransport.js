@@ -0,0 +1,56 @@
+/**
+ * LoopbackTransport is a fake transport used by the tests, letting the test
+ * act as the server by inspecting the sent requests and responding to them.
+ * Version requests are responded to right away.
+ */
+class LoopbackTransport {
+
+	/**
+	 * Creates a LoopbackTransport instance
+	 * @param {string} url Host URL
+	 * @param {transportHandlers} handlers Handlers called on transport events.
+	 * @param {object} [opt] Optional parameters.
+	 * @param {boolean} [opt.autoOpen] Flag telling if the transport should open on its own, instead of waiting for open to be called.
+	 */
+	constructor(url, handlers, opt) {
+		this.url = url;
+		this.handlers = handlers;
+		this.requests = [];
+		this.closed = false;
+		if (opt && opt.autoOpen) {
+			setTimeout(() => this.open(), 0);
+		}
+	}
+
+	send(json) {
+		let req = JSON.parse(json);
+		if (req.method === 'version') {
+			this.respond(req, { protocol: '1.2.0' });
+			return;
+		}
+		this.requests.push(req);
+	}
+
+	close() {
+		this.closed = true;
+		this.handlers.onClose({ type: 'close' });
+	}
+
+	open() {
+		this.handlers.onOpen({ type: 'open' });
+	}
+
+	respond(req, result) {
+		this.handlers.onMessage(JSON.stringify({ id: req.id, result }));
+	}
+
+	error(req, code, message) {
+		this.handlers.onMessage(JSON.stringify({ id: req.id, error: { code, message }}));
+	}
+
+	event(event, data) {
+		this.handlers.onMessage(JSON.stringify({ event, data }));
+	}
+}
+
+export default LoopbackTransport;